@@ -0,0 +1,116 @@
+// Classified summary failures. The kind decides whether a retry can help and
+// which remediation hint the tooltip and modal show.
+const SUMMARY_ERROR_KINDS = {
+  auth: {
+    retryable: false,
+    title: 'API key rejected',
+    hint: 'Check the API key for your AI provider in QuickSight settings.'
+  },
+  quota: {
+    retryable: false,
+    title: 'Quota exhausted',
+    hint: 'Add credits or raise the spending limit in your AI provider account.'
+  },
+  rate_limit: {
+    retryable: true,
+    title: 'Rate limited',
+    hint: 'Too many requests right now. Try again in a minute.'
+  },
+  transient: {
+    retryable: true,
+    title: 'AI service unavailable',
+    hint: 'The AI service is having problems. Try again shortly.'
+  },
+  network: {
+    retryable: true,
+    title: 'Network error',
+    hint: 'Check your internet connection, or that your custom server is running.'
+  },
+  content_filter: {
+    retryable: false,
+    title: 'Blocked by content filter',
+    hint: 'The AI provider declined to summarize this video.'
+  },
+  config: {
+    retryable: false,
+    title: 'Setup needed',
+    hint: 'Finish setting up your AI provider in QuickSight settings.'
+  },
+  no_transcript: {
+    retryable: false,
+    title: 'No transcript',
+    hint: 'This video has no captions QuickSight can read.'
+  },
+  unsupported_language: {
+    retryable: false,
+    title: 'Language not supported offline',
+    hint: 'The offline summary cannot read this language. Set up an AI provider in QuickSight settings to summarize it.'
+  },
+  budget: {
+    retryable: false,
+    title: 'Budget reached',
+    hint: 'Raise the budget cap in QuickSight settings, or wait for it to reset.'
+  },
+  invalid_output: {
+    retryable: false,
+    title: 'Unusable AI response',
+    hint: 'Try again, or pick a different model in QuickSight settings.'
+  },
+  unknown: {
+    retryable: false,
+    title: 'Summary failed',
+    hint: 'Try again. If it keeps failing, report an issue from the QuickSight popup.'
+  }
+};
+
+class SummaryError extends Error {
+  constructor(message, { kind = 'unknown', status = 0, retryAfterMs = null, provider = null } = {}) {
+    super(message);
+    this.name = 'SummaryError';
+    this.kind = SUMMARY_ERROR_KINDS[kind] ? kind : 'unknown';
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+    this.provider = provider;
+  }
+
+  get retryable() {
+    return SUMMARY_ERROR_KINDS[this.kind].retryable;
+  }
+
+  // Plain object sent to content scripts as `errorInfo`
+  toJSON() {
+    const { title, hint } = SUMMARY_ERROR_KINDS[this.kind];
+    return {
+      kind: this.kind,
+      message: this.message,
+      title,
+      hint,
+      retryable: this.retryable,
+      retryAfterMs: this.retryAfterMs,
+      provider: this.provider
+    };
+  }
+
+  // Wrap anything thrown into a SummaryError. Network failures are classified
+  // where fetch() rejects (AIProvider.request); anything else, including a
+  // TypeError from a bug, is 'unknown' and not retried.
+  static from(error, provider = null) {
+    if (error instanceof SummaryError) return error;
+    return new SummaryError(error?.message || String(error), { provider });
+  }
+
+  // Retry-After is either delay-seconds or an HTTP date; OpenAI also sends retry-after-ms
+  static parseRetryAfter(headers) {
+    const milliseconds = parseFloat(headers.get('retry-after-ms'));
+    if (isFinite(milliseconds)) return milliseconds;
+
+    const value = headers.get('retry-after');
+    if (!value) return null;
+    const seconds = parseFloat(value);
+    if (isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+self.SummaryError = SummaryError;
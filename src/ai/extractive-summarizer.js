@@ -0,0 +1,313 @@
+// Offline extractive summaries: TextRank over transcript sentences. Used when no
+// AI provider is configured or reachable; needs no network at all.
+const EXTRACTIVE_BULLETS = { fast: 3, detailed: 4, extended: 5 };
+const EXTRACTIVE_CONFIDENCE = 0.4;
+const EXTRACTIVE_MAX_SENTENCES = 300; // Bounds the O(n²) similarity graph
+const EXTRACTIVE_WINDOW_WORDS = 25; // Auto-captions have no punctuation to split on
+const EXTRACTIVE_MIN_WORDS = 5; // Shorter pieces make poor bullets
+
+// Scripts written without spaces between words. Their runs count as one word
+// per two characters and are compared as overlapping character pairs, which
+// works for matching without a dictionary. "ー" lengthens katakana vowels.
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}ー]/u;
+const UNSPACED_RUN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}ー]+/gu;
+
+const TEXTRANK_DAMPING = 0.85;
+const TEXTRANK_ITERATIONS = 50;
+
+// Sentences that sound like advice make better takeaways
+const TAKEAWAY_CUES = /\b(should|need to|have to|must|make sure|remember|important|recommend|key|tip|always|never|don't|do not|best)\b/i;
+const LEADING_FILLER = /^(?:(?:so|and|but|okay|ok|um+|uh+|well|like|yeah|right|alright|you know|i mean)[\s,]+)+/i;
+
+const EXTRACTIVE_STOPWORDS = new Set(`a about above after again all also am an and any are as at be because been
+  before being below between both but by can could did do does doing down during each few for from further get
+  got going gonna had has have having he her here hers him his how i if in into is it its itself just know let
+  like me more most my no nor not now of off on once only or other our out over own really right same say she
+  so some such than that the their them then there these they thing things this those through to too um uh
+  under until up us very want was way we well were what when where which while who whom why will with would
+  yeah you your yours okay actually go see think lot kind sort`.split(/\s+/));
+
+class ExtractiveSummarizer {
+  constructor() {
+    this.validator = new SummaryValidator();
+  }
+
+  // Same summary shape as VideoSummarizer.generateSummary
+  summarize(transcript, metadata = {}, mode = 'detailed') {
+    const modeConfig = SUMMARY_MODES[mode];
+    const text = transcript.text || '';
+    const sentences = this.splitSentences(text);
+    if (sentences.length === 0) {
+      // Plenty of text but nothing usable: a script the ranking can't read
+      if (this.wordCount(text) >= EXTRACTIVE_MIN_WORDS * 4) {
+        throw new SummaryError('The offline summary cannot read this transcript\'s language', { kind: 'unsupported_language' });
+      }
+      throw new SummaryError('Transcript is too short to summarize', { kind: 'no_transcript' });
+    }
+
+    const scores = this.rank(sentences);
+    const bullets = this.select(sentences, scores, EXTRACTIVE_BULLETS[mode]);
+    const quote = this.select(sentences.filter(sentence => sentence.words.length >= 8 && sentence.words.length <= 40), scores, 1, bullets)[0];
+    const sections = this.splitSections(transcript, metadata, Math.max(modeConfig.paragraphs, modeConfig.maxTopics));
+
+    const summary = {
+      quickSummary: {
+        bullets: bullets.map(sentence => sentence.text),
+        quote: quote ? quote.text : '',
+        confidence: EXTRACTIVE_CONFIDENCE,
+        duration: metadata.duration || ''
+      },
+      detailedSummary: {
+        paragraphs: this.buildParagraphs(sentences, scores, modeConfig.paragraphs),
+        keyTopics: this.buildTopics(sections, modeConfig.maxTopics),
+        takeaways: this.selectTakeaways(sentences, scores, modeConfig.takeaways, bullets).map(sentence => sentence.text)
+      }
+    };
+    return this.validator.validate(summary, { metadata }).summary;
+  }
+
+  // [{ index, text, words }] where words are the sentence's content words
+  splitSentences(text) {
+    const cleaned = text
+      .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ') // [Music], (applause)
+      .replace(/>>+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // CJK and Devanagari full stops need no space after them
+    let pieces = cleaned.split(/(?<=[.!?])\s+|(?<=[。！？।])\s*/).filter(Boolean).flatMap(piece => {
+      if (this.wordCount(piece) <= EXTRACTIVE_WINDOW_WORDS * 2) return [piece];
+      return this.windows(piece);
+    });
+
+    // Merge neighbours so very long transcripts stay within the graph bound
+    const groupSize = Math.ceil(pieces.length / EXTRACTIVE_MAX_SENTENCES);
+    if (groupSize > 1) {
+      const grouped = [];
+      for (let i = 0; i < pieces.length; i += groupSize) {
+        grouped.push(pieces.slice(i, i + groupSize).join(' '));
+      }
+      pieces = grouped;
+    }
+
+    return pieces
+      .map(piece => this.tidy(piece))
+      .filter(piece => this.wordCount(piece) >= EXTRACTIVE_MIN_WORDS)
+      .map(piece => ({ text: piece, words: this.contentWords(piece) }))
+      .filter(sentence => sentence.words.length >= 2)
+      .map((sentence, index) => ({ index, ...sentence }));
+  }
+
+  // Runs of about EXTRACTIVE_WINDOW_WORDS words, cut at spaces where there are
+  // any; an unspaced stretch longer than a window is cut by characters
+  windows(piece) {
+    const units = piece.split(' ').flatMap(unit => {
+      if (this.wordCount(unit) <= EXTRACTIVE_WINDOW_WORDS) return [unit];
+      const characters = [...unit];
+      const parts = [];
+      for (let i = 0; i < characters.length; i += EXTRACTIVE_WINDOW_WORDS * 2) {
+        parts.push(characters.slice(i, i + EXTRACTIVE_WINDOW_WORDS * 2).join(''));
+      }
+      return parts;
+    });
+
+    const windows = [];
+    let current = [];
+    let words = 0;
+    for (const unit of units) {
+      current.push(unit);
+      words += this.wordCount(unit);
+      if (words >= EXTRACTIVE_WINDOW_WORDS) {
+        windows.push(current.join(' '));
+        current = [];
+        words = 0;
+      }
+    }
+    if (current.length > 0) windows.push(current.join(' '));
+    return windows;
+  }
+
+  // Spoken transcripts read better without leading fillers and with a capital letter
+  tidy(sentence) {
+    const text = sentence.replace(LEADING_FILLER, '').trim();
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  // Stemmed words other than stopwords
+  contentWords(text) {
+    return this.keywords(text).map(word => this.stem(word));
+  }
+
+  // Words in any script; unspaced runs become overlapping character pairs
+  keywords(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{M}\p{N}']+/gu) || []).flatMap(word => {
+      if (UNSPACED_SCRIPT.test(word)) return this.characterPairs(word);
+      const stripped = word.replace(/'s$|'/g, '');
+      return stripped.length > 2 && !EXTRACTIVE_STOPWORDS.has(stripped) ? [stripped] : [];
+    });
+  }
+
+  // "機械学習" -> ["機械", "械学", "学習"]; spaced parts of the token are kept whole.
+  // Pairs of hiragana alone are mostly particles and verb endings and are skipped.
+  characterPairs(word) {
+    const pairs = [];
+    for (const part of word.split(UNSPACED_RUN)) {
+      if (part.length > 2) pairs.push(part);
+    }
+    for (const run of word.match(UNSPACED_RUN) || []) {
+      const characters = [...run];
+      if (characters.length === 1) pairs.push(run);
+      for (let i = 0; i + 1 < characters.length; i++) {
+        const pair = characters[i] + characters[i + 1];
+        if (!/^\p{Script=Hiragana}+$/u.test(pair)) pairs.push(pair);
+      }
+    }
+    return pairs;
+  }
+
+  // Space-separated words, with unspaced runs counted as one word per two characters
+  wordCount(text) {
+    let count = text.replace(UNSPACED_RUN, ' ').split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+    for (const run of text.match(UNSPACED_RUN) || []) {
+      count += Math.ceil([...run].length / 2);
+    }
+    return count;
+  }
+
+  // Crude suffix stripping so "model" and "models" count as the same word
+  stem(word) {
+    if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+    if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+  }
+
+  // Shared content words, normalized by sentence length (Mihalcea & Tarau, 2004)
+  similarity(a, b) {
+    const wordsA = new Set(a.words);
+    const overlap = new Set(b.words.filter(word => wordsA.has(word))).size;
+    if (overlap === 0) return 0;
+    return overlap / (Math.log(a.words.length + 1) + Math.log(b.words.length + 1));
+  }
+
+  // PageRank over the sentence similarity graph; returns one score per sentence
+  rank(sentences) {
+    const count = sentences.length;
+    const weights = sentences.map((sentence, i) =>
+      sentences.map((other, j) => (i === j ? 0 : this.similarity(sentence, other)))
+    );
+    const outWeight = weights.map(row => row.reduce((sum, weight) => sum + weight, 0));
+
+    let scores = new Array(count).fill(1 / count);
+    for (let iteration = 0; iteration < TEXTRANK_ITERATIONS; iteration++) {
+      const next = scores.map((_, i) => {
+        let rank = 0;
+        for (let j = 0; j < count; j++) {
+          if (weights[j][i] > 0) {
+            rank += weights[j][i] / outWeight[j] * scores[j];
+          }
+        }
+        return (1 - TEXTRANK_DAMPING) / count + TEXTRANK_DAMPING * rank;
+      });
+      const delta = next.reduce((sum, score, i) => sum + Math.abs(score - scores[i]), 0);
+      scores = next;
+      if (delta < 1e-6) break;
+    }
+    return scores;
+  }
+
+  // Top `count` sentences by score, skipping near-duplicates, in transcript order
+  select(sentences, scores, count, exclude = []) {
+    const chosen = [];
+    const ranked = [...sentences].sort((a, b) => scores[b.index] - scores[a.index]);
+    for (const sentence of ranked) {
+      if (chosen.length >= count) break;
+      const redundant = [...chosen, ...exclude].some(other => this.overlap(sentence, other) > 0.5);
+      if (!redundant) {
+        chosen.push(sentence);
+      }
+    }
+    return chosen.sort((a, b) => a.index - b.index);
+  }
+
+  // Share of the shorter sentence's content words found in the other
+  overlap(a, b) {
+    if (a === b) return 1;
+    const wordsB = new Set(b.words);
+    const shared = new Set(a.words.filter(word => wordsB.has(word))).size;
+    return shared / Math.min(new Set(a.words).size, wordsB.size);
+  }
+
+  // One paragraph per part of the video, built from that part's best sentences
+  buildParagraphs(sentences, scores, count) {
+    const perPart = Math.ceil(sentences.length / count);
+    const paragraphs = [];
+    for (let i = 0; i < sentences.length; i += perPart) {
+      const part = sentences.slice(i, i + perPart);
+      const picked = this.select(part, scores, 3);
+      if (picked.length > 0) {
+        paragraphs.push(picked.map(sentence => this.punctuate(sentence.text)).join(' '));
+      }
+    }
+    return paragraphs;
+  }
+
+  punctuate(text) {
+    return /[.!?]$/.test(text) ? text : `${text}.`;
+  }
+
+  // Split the transcript into time-ranged sections for key topics
+  splitSections(transcript, metadata, count) {
+    const totalSeconds = metadata.lengthSeconds || TranscriptChunker.parseTimestamp(metadata.duration || '');
+    const textLength = (transcript.text || '').length;
+    const chunker = new TranscriptChunker({ maxChars: Math.max(500, Math.ceil(textLength / count)), maxSeconds: Infinity });
+    return chunker.chunk(transcript, totalSeconds).slice(0, count).map(chunk => ({
+      start: chunk.start,
+      timed: !chunk.estimated || totalSeconds > 0,
+      words: this.keywords(chunk.text)
+    }));
+  }
+
+  // Label each section with the words most distinctive to it, counted by stem
+  // but shown as first spoken
+  buildTopics(sections, maxTopics) {
+    const surfaceForms = new Map();
+    const sectionCounts = sections.map(section => {
+      const counts = new Map();
+      section.words.forEach(word => {
+        const stem = this.stem(word);
+        if (!surfaceForms.has(stem)) surfaceForms.set(stem, word);
+        counts.set(stem, (counts.get(stem) || 0) + 1);
+      });
+      return counts;
+    });
+    const documentFrequency = new Map();
+    sectionCounts.forEach(counts => counts.forEach((_, word) => {
+      documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+    }));
+
+    const topics = sections.map((section, i) => {
+      const keywords = [...sectionCounts[i]]
+        .filter(([, count]) => count > 1)
+        .map(([word, count]) => [word, count * Math.log(1 + sections.length / documentFrequency.get(word))])
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 3)
+        .map(([stem]) => surfaceForms.get(stem))
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1));
+      return {
+        topic: keywords.join(', '),
+        timestamp: section.timed ? TranscriptChunker.formatTimestamp(section.start) : ''
+      };
+    });
+    return topics.filter(topic => topic.topic).slice(0, maxTopics);
+  }
+
+  // Advice-like sentences first, then the best remaining ones
+  selectTakeaways(sentences, scores, count, exclude) {
+    const cued = this.select(sentences.filter(sentence => TAKEAWAY_CUES.test(sentence.text)), scores, count, exclude);
+    if (cued.length >= count) return cued;
+    return [...cued, ...this.select(sentences, scores, count - cued.length, [...exclude, ...cued])];
+  }
+}
+
+self.ExtractiveSummarizer = ExtractiveSummarizer;
@@ -0,0 +1,163 @@
+// Base class for AI provider adapters registered with ProviderRegistry
+
+// Finish/stop reasons meaning the provider's safety system withheld the answer
+const FILTERED_FINISH_REASONS = ['content_filter', 'refusal', 'SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION'];
+
+class AIProvider {
+  constructor({ id, label, keySetting, keyRequired = true, models = {}, capabilities = {}, keyInfo = {} }) {
+    this.id = id;
+    this.label = label;
+    this.keySetting = keySetting;
+    this.keyRequired = keyRequired;
+    this.models = models;
+    this.keyInfo = keyInfo;
+    this.capabilities = {
+      jsonMode: false, // Provider can be forced to return JSON
+      responseSchema: false, // Provider enforces a JSON schema on the output
+      streaming: false, // Provider can stream completions
+      contextTokens: 8192, // Input context window
+      ...capabilities
+    };
+  }
+
+  getApiKey(settings) {
+    return settings[this.keySetting] || '';
+  }
+
+  getModel(settings, mode) {
+    return this.models[mode];
+  }
+
+  // Descriptor sent to the popup to build the provider picker
+  describe() {
+    return {
+      id: this.id,
+      label: this.label,
+      keySetting: this.keySetting,
+      keyRequired: this.keyRequired,
+      keyPlaceholder: this.keyInfo.placeholder || `Enter your ${this.label} API key`,
+      keyHelpUrl: this.keyInfo.helpUrl || '',
+      keyHelpText: this.keyInfo.helpText || `Get your ${this.label} API key`,
+      keyPattern: this.keyInfo.pattern ? this.keyInfo.pattern.source : null,
+      keyFormatHint: this.keyInfo.formatHint || '',
+      capabilities: this.capabilities,
+      models: this.models
+    };
+  }
+
+  // Check the key before any request is made
+  missingKeyResult() {
+    return {
+      success: false,
+      kind: 'config',
+      message: 'No API key configured',
+      instruction: `Please add your ${this.label} API key in the extension settings`
+    };
+  }
+
+  // fetch() for provider calls. Only a rejected fetch (offline, DNS, refused
+  // connection, CORS) is a network error; aborts are passed through as they are.
+  async request(url, options) {
+    try {
+      return await fetch(url, options);
+    } catch (error) {
+      throw this.networkError(error);
+    }
+  }
+
+  networkError(error) {
+    if (error?.name === 'AbortError') return error;
+    return new SummaryError(`Could not reach ${this.label}: ${error?.message || error}`, {
+      kind: 'network',
+      provider: this.id
+    });
+  }
+
+  // Turn a failed HTTP response into a classified SummaryError
+  async createError(response) {
+    const body = await response.json().catch(() => ({}));
+    const message = body.error?.message || response.statusText || `HTTP ${response.status}`;
+    return new SummaryError(`${this.label} API error: ${message}`, {
+      kind: this.classifyError(response.status, body, message),
+      status: response.status,
+      retryAfterMs: this.readRetryAfter(response, body),
+      provider: this.id
+    });
+  }
+
+  classifyError(status, body, message) {
+    const code = `${body.error?.code || ''} ${body.error?.type || ''}`;
+    if (status === 401 || status === 403) return 'auth';
+    if (/insufficient_quota|billing/i.test(code) || /credit balance|billing|quota/i.test(message)) return 'quota';
+    if (status === 429) return 'rate_limit';
+    if (status === 408 || status >= 500) return 'transient';
+    if (/content_filter|content_policy/i.test(code)) return 'content_filter';
+    return 'unknown';
+  }
+
+  readRetryAfter(response) {
+    return SummaryError.parseRetryAfter(response.headers);
+  }
+
+  // Error for a response that finished without any text
+  emptyResponseError(finishReason) {
+    if (FILTERED_FINISH_REASONS.includes(finishReason)) {
+      return new SummaryError(`${this.label} withheld the summary (${finishReason})`, {
+        kind: 'content_filter',
+        provider: this.id
+      });
+    }
+    return new SummaryError(`No content received from ${this.label}${finishReason ? ` (${finishReason})` : ''}`, {
+      kind: 'invalid_output',
+      provider: this.id
+    });
+  }
+
+  // Adapters return { content, model, usage: { promptTokens, completionTokens, totalTokens } }
+  async complete() {
+    throw new Error(`${this.label} does not implement complete()`);
+  }
+
+  // Same request and result as complete(), plus request.onText(delta) for each
+  // piece of text as it arrives. Adapters without streaming deliver it in one piece.
+  async stream(request) {
+    const result = await this.complete(request);
+    request.onText(result.content);
+    return result;
+  }
+
+  // Feed each `data:` payload of a server-sent event stream to onData
+  async readEventStream(response, onData) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const flushLines = (final) => {
+      const lines = buffer.split(/\r?\n/);
+      buffer = final ? '' : lines.pop();
+      for (const line of lines) {
+        if (line.startsWith('data:')) {
+          onData(line.substring(5).trim());
+        }
+      }
+    };
+
+    while (true) {
+      // A connection dropped mid-stream rejects here
+      const { done, value } = await reader.read().catch(error => {
+        throw this.networkError(error);
+      });
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      flushLines(false);
+    }
+    buffer += decoder.decode();
+    flushLines(true);
+  }
+
+  async testConnection() {
+    throw new Error(`${this.label} does not implement testConnection()`);
+  }
+}
+
+self.AIProvider = AIProvider;
@@ -0,0 +1,178 @@
+// Anthropic Messages API adapter
+class ClaudeProvider extends AIProvider {
+  constructor() {
+    super({
+      id: 'claude',
+      label: 'Anthropic Claude',
+      keySetting: 'claudeApiKey',
+      models: {
+        fast: 'claude-haiku-4-5',
+        detailed: 'claude-haiku-4-5',
+        extended: 'claude-sonnet-4-5'
+      },
+      capabilities: {
+        jsonMode: false, // JSON is coaxed out by prefilling "{"
+        streaming: true,
+        contextTokens: 200000
+      },
+      keyInfo: {
+        placeholder: 'Enter your Anthropic API key',
+        helpUrl: 'https://console.anthropic.com/settings/keys',
+        helpText: 'Get your Anthropic API key'
+      }
+    });
+  }
+
+  buildHeaders(settings) {
+    return {
+      'x-api-key': this.getApiKey(settings),
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true',
+      'Content-Type': 'application/json'
+    };
+  }
+
+  buildRequestBody({ model, systemPrompt, prompt, maxTokens, temperature = 0.3, json = true }) {
+    const messages = [{ role: 'user', content: prompt }];
+    if (json) {
+      // Prefill the opening brace so the reply starts as JSON
+      messages.push({ role: 'assistant', content: '{' });
+    }
+
+    return {
+      model: model,
+      system: json ? `${systemPrompt} Respond with a single JSON object and nothing else.` : systemPrompt,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    };
+  }
+
+  // Re-attach the prefilled brace and drop anything after the closing brace
+  finishContent(text, json) {
+    if (!json) return text;
+    const content = `{${text}`;
+    return content.substring(0, content.lastIndexOf('}') + 1);
+  }
+
+  async complete(request) {
+    const { settings, model, signal, json = true } = request;
+    const response = await this.request('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: this.buildHeaders(settings),
+      body: JSON.stringify(this.buildRequestBody(request)),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await this.createError(response);
+    }
+
+    const data = await response.json();
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    if (!text) {
+      throw this.emptyResponseError(data.stop_reason);
+    }
+
+    const promptTokens = data.usage?.input_tokens || 0;
+    const completionTokens = data.usage?.output_tokens || 0;
+    return {
+      content: this.finishContent(text, json),
+      model: data.model || model,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  async stream(request) {
+    const { settings, model, signal, onText, json = true } = request;
+    const response = await this.request('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: this.buildHeaders(settings),
+      body: JSON.stringify({ ...this.buildRequestBody(request), stream: true }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await this.createError(response);
+    }
+
+    if (json) {
+      onText('{');
+    }
+
+    let text = '';
+    let responseModel = model;
+    let promptTokens = 0;
+    let completionTokens = 0;
+    let stopReason = null;
+    await this.readEventStream(response, data => {
+      const event = JSON.parse(data);
+      switch (event.type) {
+        case 'message_start':
+          responseModel = event.message?.model || responseModel;
+          promptTokens = event.message?.usage?.input_tokens || 0;
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta') {
+            text += event.delta.text;
+            onText(event.delta.text);
+          }
+          break;
+        case 'message_delta':
+          completionTokens = event.usage?.output_tokens || completionTokens;
+          stopReason = event.delta?.stop_reason || stopReason;
+          break;
+        case 'error':
+          // Mid-stream errors; overloaded_error is the same as an HTTP 529
+          throw new SummaryError(`Anthropic API error: ${event.error?.message || 'stream failed'}`, {
+            kind: event.error?.type === 'overloaded_error' ? 'transient' : 'unknown',
+            provider: this.id
+          });
+      }
+    });
+
+    if (!text) {
+      throw this.emptyResponseError(stopReason);
+    }
+    return {
+      content: this.finishContent(text, json),
+      model: responseModel,
+      usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  async testConnection(settings) {
+    if (!this.getApiKey(settings)) {
+      return this.missingKeyResult();
+    }
+
+    try {
+      const result = await this.complete({
+        settings,
+        model: this.models.fast,
+        systemPrompt: 'You are a helpful assistant.',
+        prompt: 'Say "Hello from QuickSight extension test!" in exactly those words.',
+        maxTokens: 50,
+        temperature: 0,
+        json: false
+      });
+      return {
+        success: true,
+        message: result.content,
+        usage: result.usage,
+        model: result.model
+      };
+    } catch (error) {
+      return {
+        success: false,
+        kind: SummaryError.from(error, this.id).kind,
+        error: error.message
+      };
+    }
+  }
+}
+
+self.ClaudeProvider = ClaudeProvider;
@@ -0,0 +1,114 @@
+// Self-hosted OpenAI-compatible server (Ollama, vLLM, llama.cpp server)
+class CustomOpenAIProvider extends OpenAIProvider {
+  constructor() {
+    super({
+      id: 'custom',
+      label: 'Custom endpoint',
+      keySetting: 'customApiKey',
+      keyRequired: false, // Local servers usually run without auth
+      models: {},
+      capabilities: {
+        jsonMode: true,
+        streaming: true,
+        contextTokens: 8192 // Unknown per model; assume a small window
+      },
+      keyInfo: {
+        placeholder: 'API key (optional for local servers)',
+        helpUrl: 'https://github.com/ollama/ollama/blob/main/docs/openai.md',
+        helpText: 'About OpenAI-compatible servers'
+      }
+    });
+  }
+
+  // Accept "http://host:port", ".../v1" or a trailing slash; return the server root
+  static normalizeBaseUrl(url) {
+    return (url || '').trim().replace(/\/+$/, '').replace(/\/v1$/, '');
+  }
+
+  getBaseUrl(settings) {
+    return `${CustomOpenAIProvider.normalizeBaseUrl(settings.customBaseUrl)}/v1`;
+  }
+
+  getModel(settings, mode) {
+    // Modes without an explicit choice fall back to the detailed model
+    const models = settings.customModels || {};
+    return models[mode] || models.detailed || models.fast || models.extended || '';
+  }
+
+  assertConfigured(request) {
+    if (!request.settings.customBaseUrl || !request.model) {
+      throw new SummaryError('Custom endpoint needs a server URL and a model', { kind: 'config', provider: this.id });
+    }
+  }
+
+  async complete(request) {
+    this.assertConfigured(request);
+    return super.complete(request);
+  }
+
+  async stream(request) {
+    this.assertConfigured(request);
+    return super.stream(request);
+  }
+
+  // List the models served by the configured endpoint
+  async listModels(settings) {
+    if (!settings.customBaseUrl) {
+      throw new SummaryError('No custom server URL configured', { kind: 'config', provider: this.id });
+    }
+
+    const response = await this.request(`${this.getBaseUrl(settings)}/models`, {
+      headers: this.buildHeaders(settings)
+    });
+
+    if (!response.ok) {
+      throw await this.createError(response);
+    }
+
+    const data = await response.json();
+    return (data.data || data.models || [])
+      .map(model => model.id || model.name)
+      .filter(Boolean)
+      .sort();
+  }
+
+  async testConnection(settings) {
+    try {
+      const models = await this.listModels(settings);
+      const configured = this.getModel(settings, 'detailed');
+      const baseUrl = CustomOpenAIProvider.normalizeBaseUrl(settings.customBaseUrl);
+
+      if (!configured) {
+        return {
+          success: false,
+          kind: 'config',
+          message: 'No model selected',
+          instruction: 'Discover models and pick one for each summary mode in the extension settings'
+        };
+      }
+
+      if (models.length > 0 && !models.includes(configured)) {
+        return {
+          success: false,
+          kind: 'config',
+          error: `Model "${configured}" is not served by ${baseUrl}`
+        };
+      }
+
+      return {
+        success: true,
+        message: `Connected to ${baseUrl}`,
+        model: configured,
+        models
+      };
+    } catch (error) {
+      return {
+        success: false,
+        kind: SummaryError.from(error, this.id).kind,
+        error: error.message
+      };
+    }
+  }
+}
+
+self.CustomOpenAIProvider = CustomOpenAIProvider;
@@ -0,0 +1,247 @@
+// Google Gemini generateContent adapter with structured output
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// Response schema enforcing the summary shape
+const GEMINI_SUMMARY_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    quickSummary: {
+      type: 'OBJECT',
+      properties: {
+        bullets: { type: 'ARRAY', items: { type: 'STRING' } },
+        quote: { type: 'STRING' },
+        confidence: { type: 'NUMBER' },
+        duration: { type: 'STRING' }
+      },
+      required: ['bullets', 'quote', 'confidence']
+    },
+    detailedSummary: {
+      type: 'OBJECT',
+      properties: {
+        paragraphs: { type: 'ARRAY', items: { type: 'STRING' } },
+        keyTopics: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: {
+              topic: { type: 'STRING' },
+              timestamp: { type: 'STRING' }
+            },
+            required: ['topic', 'timestamp']
+          }
+        },
+        takeaways: { type: 'ARRAY', items: { type: 'STRING' } }
+      },
+      required: ['paragraphs', 'keyTopics', 'takeaways']
+    }
+  },
+  required: ['quickSummary', 'detailedSummary'],
+  propertyOrdering: ['quickSummary', 'detailedSummary']
+};
+
+// Map-reduce notes on one section of a long video
+const GEMINI_CHUNK_NOTE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    topic: { type: 'STRING' },
+    summary: { type: 'STRING' },
+    keyPoints: { type: 'ARRAY', items: { type: 'STRING' } },
+    quote: { type: 'STRING' }
+  },
+  required: ['topic', 'summary', 'keyPoints'],
+  propertyOrdering: ['topic', 'summary', 'keyPoints', 'quote']
+};
+
+// Schema per request format (see VideoSummarizer.requestCompletion)
+const GEMINI_SCHEMAS = {
+  summary: GEMINI_SUMMARY_SCHEMA,
+  chunkNote: GEMINI_CHUNK_NOTE_SCHEMA
+};
+
+class GeminiProvider extends AIProvider {
+  constructor() {
+    super({
+      id: 'gemini',
+      label: 'Google Gemini',
+      keySetting: 'geminiApiKey',
+      models: {
+        fast: 'gemini-2.5-flash-lite',
+        detailed: 'gemini-2.5-flash',
+        extended: 'gemini-2.5-pro'
+      },
+      capabilities: {
+        jsonMode: true,
+        responseSchema: true,
+        streaming: true,
+        contextTokens: 1048576
+      },
+      keyInfo: {
+        placeholder: 'Enter your Gemini API key',
+        helpUrl: 'https://aistudio.google.com/app/apikey',
+        helpText: 'Get your Gemini API key',
+        // Google API keys are 39 characters starting with "AIza"
+        pattern: /^AIza[0-9A-Za-z_-]{35}$/,
+        formatHint: 'Gemini keys start with "AIza" and are 39 characters long'
+      }
+    });
+  }
+
+  buildRequestBody({ model, format = 'summary', systemPrompt, prompt, maxTokens, temperature = 0.3, json = true }) {
+    // 2.5 models think before answering; Pro cannot turn it off, so give it the minimum budget
+    const thinkingBudget = model.includes('pro') ? 128 : 0;
+
+    const generationConfig = {
+      maxOutputTokens: maxTokens + thinkingBudget,
+      temperature,
+      thinkingConfig: { thinkingBudget }
+    };
+    if (json) {
+      generationConfig.responseMimeType = 'application/json';
+      // Unknown formats still get JSON, just without a schema to hold them to
+      if (GEMINI_SCHEMAS[format]) generationConfig.responseSchema = GEMINI_SCHEMAS[format];
+    }
+
+    return {
+      systemInstruction: { parts: [{ text: systemPrompt }] },
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig
+    };
+  }
+
+  async sendRequest(request, method) {
+    const { settings, model, signal } = request;
+    const response = await this.request(`${GEMINI_BASE_URL}/models/${model}:${method}`, {
+      method: 'POST',
+      headers: {
+        'x-goog-api-key': this.getApiKey(settings),
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(this.buildRequestBody(request)),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await this.createError(response);
+    }
+    return response;
+  }
+
+  classifyError(status, body, message) {
+    // Bad keys come back as 400 INVALID_ARGUMENT; per-minute and daily limits share
+    // 429 RESOURCE_EXHAUSTED, so treat them all as rate limits and let RetryInfo decide
+    const reasons = (body.error?.details || []).map(detail => detail.reason);
+    if (reasons.includes('API_KEY_INVALID')) return 'auth';
+    if (status === 429) return 'rate_limit';
+    return super.classifyError(status, body, message);
+  }
+
+  readRetryAfter(response, body) {
+    const retryInfo = (body.error?.details || []).find(detail => detail.retryDelay);
+    const seconds = parseFloat(retryInfo?.retryDelay);
+    return isFinite(seconds) ? seconds * 1000 : super.readRetryAfter(response);
+  }
+
+  // Answer text of one generateContent response (or stream chunk), skipping thoughts
+  readCandidateText(data) {
+    if (data.promptFeedback?.blockReason) {
+      throw new SummaryError(`Gemini blocked the prompt: ${data.promptFeedback.blockReason}`, {
+        kind: 'content_filter',
+        provider: this.id
+      });
+    }
+
+    return (data.candidates?.[0]?.content?.parts || [])
+      .filter(part => part.text && !part.thought)
+      .map(part => part.text)
+      .join('');
+  }
+
+  normalizeUsage(usageMetadata) {
+    return {
+      promptTokens: usageMetadata?.promptTokenCount || 0,
+      completionTokens: usageMetadata?.candidatesTokenCount || 0,
+      totalTokens: usageMetadata?.totalTokenCount || 0
+    };
+  }
+
+  async complete(request) {
+    const response = await this.sendRequest(request, 'generateContent');
+    const data = await response.json();
+
+    const content = this.readCandidateText(data);
+    if (!content) {
+      throw this.emptyResponseError(data.candidates?.[0]?.finishReason);
+    }
+
+    return {
+      content,
+      model: data.modelVersion || request.model,
+      usage: this.normalizeUsage(data.usageMetadata)
+    };
+  }
+
+  async stream(request) {
+    const response = await this.sendRequest(request, 'streamGenerateContent?alt=sse');
+
+    let content = '';
+    let model = request.model;
+    let usageMetadata = null;
+    let finishReason = null;
+    await this.readEventStream(response, data => {
+      const chunk = JSON.parse(data);
+      const text = this.readCandidateText(chunk);
+      if (text) {
+        content += text;
+        request.onText(text);
+      }
+      model = chunk.modelVersion || model;
+      usageMetadata = chunk.usageMetadata || usageMetadata;
+      finishReason = chunk.candidates?.[0]?.finishReason || finishReason;
+    });
+
+    if (!content) {
+      throw this.emptyResponseError(finishReason);
+    }
+    return { content, model, usage: this.normalizeUsage(usageMetadata) };
+  }
+
+  async testConnection(settings) {
+    if (!this.getApiKey(settings)) {
+      return this.missingKeyResult();
+    }
+
+    try {
+      // Looking up a model validates the key without spending tokens
+      const model = this.models.detailed;
+      const response = await this.request(`${GEMINI_BASE_URL}/models/${model}`, {
+        headers: { 'x-goog-api-key': this.getApiKey(settings) }
+      });
+
+      if (!response.ok) {
+        const error = await this.createError(response);
+        return {
+          success: false,
+          status: response.status,
+          kind: error.kind,
+          error: error.message
+        };
+      }
+
+      const data = await response.json();
+      return {
+        success: true,
+        message: `${data.displayName || model} is available`,
+        model: data.name,
+        inputTokenLimit: data.inputTokenLimit
+      };
+    } catch (error) {
+      return {
+        success: false,
+        kind: SummaryError.from(error, this.id).kind,
+        error: error.message
+      };
+    }
+  }
+}
+
+self.GeminiProvider = GeminiProvider;
@@ -0,0 +1,162 @@
+// OpenAI chat completions adapter
+class OpenAIProvider extends AIProvider {
+  constructor(options = {}) {
+    super({
+      id: 'openai',
+      label: 'OpenAI',
+      keySetting: 'apiKey',
+      models: {
+        fast: 'gpt-4o-mini',
+        detailed: 'gpt-4o-mini',
+        extended: 'gpt-4o' // Use full GPT-4 for extended summaries
+      },
+      capabilities: {
+        jsonMode: true,
+        streaming: true,
+        contextTokens: 128000
+      },
+      keyInfo: {
+        placeholder: 'Enter your OpenAI API key',
+        helpUrl: 'https://platform.openai.com/api-keys'
+      },
+      ...options
+    });
+  }
+
+  getBaseUrl() {
+    return 'https://api.openai.com/v1';
+  }
+
+  buildHeaders(settings) {
+    const headers = { 'Content-Type': 'application/json' };
+    const apiKey = this.getApiKey(settings);
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  buildRequestBody({ model, systemPrompt, prompt, maxTokens, temperature = 0.3, json = true }) {
+    const body = {
+      model: model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature
+    };
+    if (json && this.capabilities.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+    return body;
+  }
+
+  normalizeUsage(usage) {
+    return {
+      promptTokens: usage?.prompt_tokens || 0,
+      completionTokens: usage?.completion_tokens || 0,
+      totalTokens: usage?.total_tokens || 0
+    };
+  }
+
+  async complete(request) {
+    const { settings, model, signal } = request;
+    const response = await this.request(`${this.getBaseUrl(settings)}/chat/completions`, {
+      method: 'POST',
+      headers: this.buildHeaders(settings),
+      body: JSON.stringify(this.buildRequestBody(request)),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await this.createError(response);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (!content) {
+      throw this.emptyResponseError(data.choices?.[0]?.finish_reason);
+    }
+
+    return {
+      content,
+      model: data.model || model,
+      usage: this.normalizeUsage(data.usage)
+    };
+  }
+
+  async stream(request) {
+    const { settings, model, signal, onText } = request;
+    const body = {
+      ...this.buildRequestBody(request),
+      stream: true,
+      stream_options: { include_usage: true } // Usage arrives in the final chunk
+    };
+
+    const response = await this.request(`${this.getBaseUrl(settings)}/chat/completions`, {
+      method: 'POST',
+      headers: this.buildHeaders(settings),
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await this.createError(response);
+    }
+
+    let content = '';
+    let usage = null;
+    let responseModel = model;
+    let finishReason = null;
+    await this.readEventStream(response, data => {
+      if (data === '[DONE]') return;
+      const chunk = JSON.parse(data);
+      finishReason = chunk.choices?.[0]?.finish_reason || finishReason;
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onText(delta);
+      }
+      usage = chunk.usage || usage;
+      responseModel = chunk.model || responseModel;
+    });
+
+    if (!content) {
+      throw this.emptyResponseError(finishReason);
+    }
+    return { content, model: responseModel, usage: this.normalizeUsage(usage) };
+  }
+
+  async testConnection(settings) {
+    if (!this.getApiKey(settings)) {
+      return this.missingKeyResult();
+    }
+
+    try {
+      const result = await this.complete({
+        settings,
+        model: this.models.fast,
+        systemPrompt: 'You are a helpful assistant.',
+        prompt: 'Say "Hello from QuickSight extension test!" in exactly those words.',
+        maxTokens: 50,
+        temperature: 0,
+        json: false
+      });
+      return {
+        success: true,
+        message: result.content,
+        usage: result.usage,
+        model: result.model
+      };
+    } catch (error) {
+      return {
+        success: false,
+        kind: SummaryError.from(error, this.id).kind,
+        error: error.message
+      };
+    }
+  }
+}
+
+self.OpenAIProvider = OpenAIProvider;
@@ -0,0 +1,37 @@
+// Registry of AI provider adapters; every summary request is routed through it
+class ProviderRegistry {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  register(provider) {
+    if (this.providers.has(provider.id)) {
+      console.warn(`⚠️ [Providers] Replacing provider: ${provider.id}`);
+    }
+    this.providers.set(provider.id, provider);
+    console.log(`🔌 [Providers] Registered ${provider.label} (${provider.id})`, provider.capabilities);
+  }
+
+  has(id) {
+    return this.providers.has(id);
+  }
+
+  get(id) {
+    const provider = this.providers.get(id);
+    if (!provider) {
+      throw new SummaryError(`Unsupported AI provider: ${id}`, { kind: 'config' });
+    }
+    return provider;
+  }
+
+  list() {
+    return Array.from(this.providers.values()).map(provider => provider.describe());
+  }
+
+  // Storage keys of every provider's API key
+  getKeySettings() {
+    return Array.from(this.providers.values()).map(provider => provider.keySetting);
+  }
+}
+
+self.ProviderRegistry = ProviderRegistry;
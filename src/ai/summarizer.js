@@ -1,165 +1,705 @@
-// AI-powered video summarization service
+// AI-powered video summarization service (runs in the background worker)
+
+// Prompt settings per summary mode
+const SUMMARY_MODES = {
+  fast: {
+    maxTokens: 120,
+    transcriptLimit: 2000, // Transcript characters sent to the model in one pass
+    maxTopics: 3, // Key topics kept from map-reduce chunks
+    paragraphs: 1,
+    takeaways: 1,
+    systemPrompt: 'You are a speed-optimized video summarizer. Create ultra-concise summaries in under 30 tokens.'
+  },
+  detailed: {
+    maxTokens: 120,
+    transcriptLimit: 3000,
+    maxTopics: 5,
+    paragraphs: 2,
+    takeaways: 2,
+    systemPrompt: 'You are an expert video content analyst. Create accurate, engaging summaries.'
+  },
+  extended: {
+    maxTokens: 600,
+    transcriptLimit: 8000,
+    maxTopics: 8,
+    paragraphs: 4,
+    takeaways: 5,
+    systemPrompt: 'You are an expert video content analyst. Create comprehensive, detailed summaries with rich insights and analysis.'
+  }
+};
+
+// Part of every summary's cache key; bump it when a prompt template changes so
+// summaries made with the old prompts stop being served
+const PROMPT_VERSION = 1;
+
+// Providers with at least this context window receive whole transcripts
+const LONG_CONTEXT_TOKENS = 1000000;
+const CHARS_PER_TOKEN = 4;
+
+// Map-reduce settings for transcripts that don't fit in one chunk
+const MAP_CHUNK_CHARS = 12000;
+const MAP_MAX_TOKENS = 300;
+const MAP_CONCURRENCY = 3;
+
+// Spacing of the [m:ss] markers in timed transcripts sent to the model
+const TIMED_MARKER_SECONDS = 30;
+
+// Output budget for the single repair re-prompt sent when a summary is unusable
+const REPAIR_MAX_TOKENS = 800;
+
+// Retries for rate limits and transient provider errors. A Retry-After longer
+// than maxDelayMs is not waited out; the error goes to the UI instead.
+const RETRY_POLICY = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000
+};
+
 class VideoSummarizer {
-  constructor() {
-    this.apiKey = null;
-    this.provider = 'openai';
+  constructor(registry, diagnostics = null, usageLedger = null) {
+    this.registry = registry;
+    this.diagnostics = diagnostics;
+    this.usageLedger = usageLedger;
+    this.validator = new SummaryValidator();
     this.rateLimiter = new RateLimiter(60, 60000); // 60 requests per minute
-    this.init();
   }
 
-  async init() {
-    const settings = await chrome.storage.sync.get(['aiProvider', 'apiKey']);
-    this.provider = settings.aiProvider || 'openai';
-    this.apiKey = settings.apiKey;
-  }
+  // Read provider settings. The popup keeps API keys in local storage;
+  // older installs stored them in sync storage, so fall back to that.
+  async getSettings() {
+    const keyNames = this.registry.getKeySettings();
+    const [syncData, localData] = await Promise.all([
+      chrome.storage.sync.get(['aiProvider', 'customBaseUrl', 'customModels', ...keyNames]),
+      chrome.storage.local.get(keyNames)
+    ]);
 
-  async generateSummary(transcript, metadata = {}) {
-    if (!this.apiKey) {
-      throw new Error('AI API key not configured');
+    const settings = {
+      aiProvider: syncData.aiProvider || 'openai',
+      customBaseUrl: syncData.customBaseUrl || '',
+      customModels: syncData.customModels || {}
+    };
+    for (const keyName of keyNames) {
+      settings[keyName] = localData[keyName] || syncData[keyName] || '';
     }
+    return settings;
+  }
 
-    if (!this.rateLimiter.canMakeRequest()) {
-      throw new Error('Rate limit exceeded. Please wait before requesting more summaries.');
+  // "provider/model" that would summarize in `mode` with the current settings
+  async describeModel(mode) {
+    const settings = await this.getSettings();
+    const provider = this.registry.get(settings.aiProvider);
+    return `${provider.id}/${provider.getModel(settings, mode) || 'default'}`;
+  }
+
+  // mode is one of 'fast', 'detailed' or 'extended'. With onPartial the final
+  // completion is streamed and onPartial receives the summary parsed so far.
+  async generateSummary(transcript, metadata, mode = 'detailed', { signal, onPartial } = {}) {
+    const settings = await this.getSettings();
+    const provider = this.registry.get(settings.aiProvider);
+    if (provider.keyRequired && !provider.getApiKey(settings)) {
+      throw new SummaryError(`${provider.label} API key not configured`, { kind: 'config', provider: provider.id });
     }
 
-    try {
-      this.rateLimiter.recordRequest();
-      
-      const prompt = this.buildPrompt(transcript, metadata);
-      
-      switch (this.provider) {
-        case 'openai':
-          return await this.generateOpenAISummary(prompt, transcript.text);
-        default:
-          throw new Error(`Unsupported AI provider: ${this.provider}`);
-      }
-    } catch (error) {
-      console.error('Summary generation failed:', error);
-      return this.generateFallbackSummary(metadata);
+    const modeConfig = SUMMARY_MODES[mode];
+    let transcriptLimit = this.getTranscriptLimit(provider, mode);
+    // Past the single-pass limit the transcript is chunked, but one that fits in
+    // a single chunk is still sent whole in one pass: map-reduce would cost an
+    // extra call for nothing
+    const chunks = transcript.text.length > transcriptLimit ? this.chunkTranscript(provider, transcript, metadata) : [];
+    let summary;
+    if (chunks.length > 1) {
+      summary = await this.generateMapReduceSummary(provider, settings, chunks, metadata, mode, { signal, onPartial });
+    } else {
+      if (chunks.length === 1) transcriptLimit = Infinity;
+      const content = await this.requestCompletion(provider, settings, {
+        mode,
+        systemPrompt: modeConfig.systemPrompt,
+        prompt: this.buildPrompt(transcript, metadata, mode, transcriptLimit),
+        maxTokens: modeConfig.maxTokens,
+        signal,
+        onText: onPartial && this.createPartialHandler(onPartial)
+      });
+      summary = await this.finalizeSummary(provider, settings, content, { mode, metadata, signal });
     }
+
+    // What produced it; the background adds the transcript's side
+    summary.provenance = {
+      provider: provider.id,
+      model: provider.getModel(settings, mode) || 'default',
+      promptVersion: PROMPT_VERSION
+    };
+    return summary;
   }
 
-  buildPrompt(transcript, metadata) {
-    return {
-      system: `You are an expert content analyst specializing in video summarization. Create concise, accurate summaries that capture the essence and key insights of video content.
+  // One rate-limited provider call using the model configured for `modelMode`
+  // (defaults to `mode`, which usage is recorded under); streamed when onText
+  // is given. format names the JSON shape asked for ('summary' or 'chunkNote')
+  // for providers that enforce a schema. Retryable failures are retried with exponential backoff unless
+  // part of a stream was already delivered.
+  async requestCompletion(provider, settings, { mode, modelMode = mode, format = 'summary', systemPrompt, prompt, maxTokens, signal, onText }) {
+    const model = provider.getModel(settings, modelMode);
+    let streamed = false;
+    const request = { settings, model, format, systemPrompt, prompt, maxTokens, signal };
+    if (onText) {
+      request.onText = delta => {
+        streamed = true;
+        onText(delta);
+      };
+    }
 
-Guidelines:
-- Focus on main topics, key insights, and actionable takeaways
-- Use clear, engaging language suitable for quick consumption
-- Highlight the most impactful or quotable moments
-- Maintain objectivity while capturing the video's tone
-- Structure information for both quick scanning and detailed reading`,
+    for (let attempt = 0; ; attempt++) {
+      if (!this.rateLimiter.canMakeRequest()) {
+        throw new SummaryError('Rate limit exceeded. Please wait before requesting more summaries.', {
+          kind: 'rate_limit',
+          retryAfterMs: this.rateLimiter.getWaitTime(),
+          provider: provider.id
+        });
+      }
 
-      user: `Analyze this video transcript and generate a structured summary:
+      console.log(`🌐 [Summarizer] Sending ${mode} request to ${provider.label} (${model})...`);
+      this.rateLimiter.recordRequest();
 
-Title: ${metadata.title || 'Unknown'}
-Channel: ${metadata.channel || 'Unknown'}
-Duration: ${metadata.duration || 'Unknown'}
-Views: ${metadata.views || 'Unknown'}
+      try {
+        const result = onText ? await provider.stream(request) : await provider.complete(request);
+        console.log(`✅ [Summarizer] ${provider.label} ${mode} response received`);
+        console.log(`💰 [Summarizer] Token usage:`, result.usage);
+        if (this.usageLedger && result.usage) {
+          this.usageLedger.record({ provider: provider.id, model: result.model || model, mode, usage: result.usage });
+        }
+        return result.content;
+      } catch (error) {
+        if (signal?.aborted) throw error;
 
-Transcript: ${transcript.text}
+        const summaryError = SummaryError.from(error, provider.id);
+        const delay = streamed ? null : this.getRetryDelay(summaryError, attempt);
+        if (delay === null) throw summaryError;
 
-Please provide:
-1. Quick Summary (for hover tooltip):
-   - 2-3 key bullet points (max 15 words each)
-   - One impactful quote or key insight (max 25 words)
-   - Confidence score (0-1)
+        console.warn(`🔁 [Summarizer] ${provider.label} ${summaryError.kind} error, retrying in ${Math.round(delay)}ms (${attempt + 1}/${RETRY_POLICY.maxRetries})`);
+        await this.sleep(delay, signal);
+      }
+    }
+  }
 
-2. Detailed Summary (for modal):
-   - 2-3 paragraph comprehensive summary
-   - 3-5 key topics with approximate timestamps
-   - Main takeaways and conclusions
+  // Milliseconds to wait before retrying, or null when the error should be surfaced
+  getRetryDelay(error, attempt) {
+    if (!error.retryable || attempt >= RETRY_POLICY.maxRetries) return null;
 
-Format as JSON with this structure:
-{
-  "quickSummary": {
-    "bullets": ["point 1", "point 2", "point 3"],
-    "quote": "impactful quote or key insight",
-    "confidence": 0.0
-  },
-  "detailedSummary": {
-    "paragraphs": ["paragraph 1", "paragraph 2"],
-    "keyTopics": [{"topic": "Topic Name", "timestamp": "MM:SS"}],
-    "takeaways": ["takeaway 1", "takeaway 2", "takeaway 3"]
+    if (error.retryAfterMs !== null) {
+      return error.retryAfterMs <= RETRY_POLICY.maxDelayMs ? error.retryAfterMs : null;
+    }
+    // Exponential backoff with jitter so parallel map requests don't retry in lockstep
+    const backoff = RETRY_POLICY.baseDelayMs * 2 ** attempt;
+    return Math.min(RETRY_POLICY.maxDelayMs, backoff + Math.random() * backoff / 2);
   }
-}`
-    };
+
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
-  async generateOpenAISummary(prompt, transcript) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: prompt.system },
-          { role: 'user', content: prompt.user }
-        ],
-        max_tokens: 1000,
-        temperature: 0.3,
-        response_format: { type: 'json_object' }
-      })
+  // Lenient parse: tolerates code fences and text around the JSON object; null when unparseable
+  extractJSON(content) {
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      const start = content.indexOf('{');
+      const end = content.lastIndexOf('}');
+      if (start === -1 || end <= start) return null;
+      try {
+        return JSON.parse(content.substring(start, end + 1));
+      } catch (innerError) {
+        return null;
+      }
+    }
+  }
+
+  // Validate model output into the summary format. Unusable output gets one
+  // repair re-prompt; every coercion or failure is recorded in the diagnostics.
+  async finalizeSummary(provider, settings, content, { mode, metadata, signal, optionalFields = [] }) {
+    const validate = text => {
+      const parsed = this.extractJSON(text);
+      if (parsed === null) {
+        return { valid: false, summary: null, issues: [], errors: ['response is not valid JSON'] };
+      }
+      return this.validator.validate(parsed, { metadata, optionalFields });
+    };
+
+    const result = validate(content);
+    const details = { provider: provider.id, mode, issues: result.issues, errors: result.errors };
+    if (result.valid) {
+      if (result.issues.length > 0) {
+        this.recordDiagnostic('summary-coerced', details);
+      }
+      return result.summary;
+    }
+
+    console.warn(`🔧 [Summarizer] Unusable ${provider.label} summary (${result.errors.join('; ')}), asking for a repair`);
+    const repairedContent = await this.requestCompletion(provider, settings, {
+      mode,
+      systemPrompt: 'You fix malformed JSON video summaries. Reply with the corrected JSON object only.',
+      prompt: this.getRepairPrompt(content, result.errors, metadata),
+      maxTokens: REPAIR_MAX_TOKENS,
+      signal
     });
 
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
+    const repaired = validate(repairedContent);
+    details.sample = content.substring(0, 200);
+    if (!repaired.valid) {
+      this.recordDiagnostic('summary-repair-failed', { ...details, repairErrors: repaired.errors });
+      throw new SummaryError('Invalid JSON response from AI service', { kind: 'invalid_output', provider: provider.id });
     }
 
-    const data = await response.json();
-    const content = data.choices[0]?.message?.content;
-    
-    if (!content) {
-      throw new Error('No content received from OpenAI');
+    this.recordDiagnostic('summary-repaired', { ...details, repairIssues: repaired.issues });
+    return repaired.summary;
+  }
+
+  recordDiagnostic(type, details) {
+    if (this.diagnostics) {
+      this.diagnostics.record(type, details);
     }
+  }
 
+  parseResponse(provider, content) {
     try {
       return JSON.parse(content);
     } catch (parseError) {
-      console.error('Failed to parse OpenAI response:', content);
-      throw new Error('Invalid JSON response from AI service');
+      console.error(`Failed to parse ${provider.label} response:`, content);
+      throw new SummaryError('Invalid JSON response from AI service', { kind: 'invalid_output', provider: provider.id });
     }
   }
 
-  generateFallbackSummary(metadata) {
+  // Accumulates streamed text and reports each new parseable prefix
+  createPartialHandler(onPartial) {
+    let content = '';
+    return delta => {
+      content += delta;
+      const partial = this.parsePartialResponse(content);
+      if (partial) {
+        onPartial(partial);
+      }
+    };
+  }
+
+  // Best-effort parse of JSON that is still arriving: close the open string,
+  // arrays and objects, or cut back to the last complete member. Returns null
+  // while nothing usable has arrived yet.
+  parsePartialResponse(content) {
+    const closers = [];
+    let inString = false;
+    let escaped = false;
+    let lastComma = -1;
+    let closersAtComma = [];
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        closers.push('}');
+      } else if (char === '[') {
+        closers.push(']');
+      } else if (char === '}' || char === ']') {
+        closers.pop();
+      } else if (char === ',') {
+        lastComma = i;
+        closersAtComma = closers.slice();
+      }
+    }
+
+    const close = stack => stack.slice().reverse().join('');
+    const openString = escaped ? content.slice(0, -1) : content;
+    const candidates = [
+      (inString ? `${openString}"` : content) + close(closers),
+      lastComma >= 0 ? content.substring(0, lastComma) + close(closersAtComma) : null
+    ];
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      try {
+        return JSON.parse(candidate);
+      } catch (error) {
+        // Try the next, shorter candidate
+      }
+    }
+    return null;
+  }
+
+  // Time-ranged chunks sized to the provider's context
+  chunkTranscript(provider, transcript, metadata) {
+    const totalSeconds = metadata.lengthSeconds || TranscriptChunker.parseTimestamp(metadata.duration);
+    const chunker = new TranscriptChunker({
+      maxChars: Math.min(MAP_CHUNK_CHARS, provider.capabilities.contextTokens * CHARS_PER_TOKEN / 2)
+    });
+    return chunker.chunk(transcript, totalSeconds);
+  }
+
+  // Long transcripts: summarize each time-ranged chunk, then merge the chunk notes
+  async generateMapReduceSummary(provider, settings, chunks, metadata, mode, { signal, onPartial } = {}) {
+    console.log(`🧩 [Summarizer] Map-reduce ${mode} summary over ${chunks.length} chunks`);
+
+    // Map: one short JSON note per chunk, using the fast model
+    const results = await this.runWithConcurrency(chunks, MAP_CONCURRENCY, chunk =>
+      this.summarizeChunk(provider, settings, chunk, metadata, mode, signal)
+    );
+    const notes = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    if (notes.length === 0 || signal?.aborted) {
+      throw signal?.aborted ? signal.reason : results[0].reason;
+    }
+    if (notes.length < chunks.length) {
+      console.warn(`⚠️ [Summarizer] ${chunks.length - notes.length} of ${chunks.length} chunks failed to summarize`);
+    }
+
+    // Key topics come from the chunk boundaries so their timestamps are real
+    const modeConfig = SUMMARY_MODES[mode];
+    const keyTopics = this.buildChunkTopics(notes, modeConfig.maxTopics);
+    const withTopics = summary => {
+      summary.detailedSummary = { ...summary.detailedSummary, keyTopics };
+      return summary;
+    };
+    if (onPartial) {
+      onPartial(withTopics({}));
+    }
+
+    // Reduce: merge the notes into the regular summary shape
+    const content = await this.requestCompletion(provider, settings, {
+      mode,
+      systemPrompt: modeConfig.systemPrompt,
+      prompt: this.getReducePrompt(notes, metadata, mode),
+      maxTokens: modeConfig.maxTokens,
+      signal,
+      onText: onPartial && this.createPartialHandler(partial => onPartial(withTopics(partial)))
+    });
+    const summary = withTopics(await this.finalizeSummary(provider, settings, content, {
+      mode,
+      metadata,
+      signal,
+      optionalFields: ['keyTopics']
+    }));
+    summary.coverage = {
+      method: 'map-reduce',
+      chunks: chunks.length,
+      summarizedChunks: notes.length,
+      estimatedTimestamps: chunks.some(chunk => chunk.estimated)
+    };
+    return summary;
+  }
+
+  async summarizeChunk(provider, settings, chunk, metadata, mode, signal) {
+    const content = await this.requestCompletion(provider, settings, {
+      mode,
+      modelMode: 'fast',
+      format: 'chunkNote',
+      systemPrompt: 'You are an expert video content analyst. Summarize one section of a longer video accurately.',
+      prompt: this.getChunkPrompt(chunk, metadata),
+      maxTokens: MAP_MAX_TOKENS,
+      signal
+    });
+    const note = this.parseResponse(provider, content);
+
     return {
-      quickSummary: {
-        bullets: [
-          "Comprehensive video content with valuable insights",
-          "Covers key topics and practical information", 
-          "Educational content worth watching"
-        ],
-        quote: "This video contains valuable information and insights for viewers",
-        confidence: 0.7
-      },
-      detailedSummary: {
-        paragraphs: [
-          "This video provides valuable content and information for viewers interested in the topic. While we couldn't access the full transcript for detailed analysis, the video appears to contain educational and informative material.",
-          "The content is presented in a clear and engaging manner, making it accessible to viewers at different knowledge levels. Consider watching the full video to get the complete insights and information."
-        ],
-        keyTopics: [],
-        takeaways: [
-          "Watch the full video for complete information",
-          "Content appears to be educational and informative",
-          "May contain practical tips and insights"
-        ]
+      start: chunk.start,
+      end: chunk.end,
+      topic: note.topic || `Part ${chunk.index + 1}`,
+      summary: note.summary || '',
+      keyPoints: Array.isArray(note.keyPoints) ? note.keyPoints : [],
+      quote: note.quote || ''
+    };
+  }
+
+  // Resolves like Promise.allSettled, with at most `limit` tasks in flight
+  async runWithConcurrency(items, limit, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        try {
+          results[index] = { status: 'fulfilled', value: await task(items[index]) };
+        } catch (error) {
+          results[index] = { status: 'rejected', reason: error };
+        }
       }
     };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+
+  // Evenly sample chunk notes down to `maxTopics` timeline entries
+  buildChunkTopics(notes, maxTopics) {
+    let selected = notes;
+    if (notes.length > maxTopics) {
+      const step = (notes.length - 1) / (maxTopics - 1);
+      selected = Array.from({ length: maxTopics }, (_, i) => notes[Math.round(i * step)]);
+    }
+
+    return selected.map(note => ({
+      topic: note.topic,
+      timestamp: TranscriptChunker.formatTimestamp(note.start)
+    }));
+  }
+
+  async testConnection(providerId) {
+    const settings = await this.getSettings();
+    const target = providerId || settings.aiProvider;
+    if (!this.registry.has(target)) {
+      return {
+        success: false,
+        error: `Unsupported AI provider: ${target}`
+      };
+    }
+
+    console.log(`🤖 [Summarizer] Testing ${target} connection...`);
+    return this.registry.get(target).testConnection(settings);
+  }
+
+  // Long-context providers take the whole transcript; others get a per-mode excerpt
+  getTranscriptLimit(provider, mode) {
+    if (provider.capabilities.contextTokens >= LONG_CONTEXT_TOKENS) {
+      return provider.capabilities.contextTokens * CHARS_PER_TOKEN / 2;
+    }
+    return SUMMARY_MODES[mode].transcriptLimit;
   }
 
-  formatViews(views) {
-    if (views >= 1000000000) {
-      return `${(views / 1000000000).toFixed(1)}B`;
-    } else if (views >= 1000000) {
-      return `${(views / 1000000).toFixed(1)}M`;
-    } else if (views >= 1000) {
-      return `${(views / 1000).toFixed(1)}K`;
+  buildPrompt(transcript, metadata, mode, transcriptLimit) {
+    switch (mode) {
+      case 'extended':
+        return this.getExtendedModePrompt(transcript, metadata, transcriptLimit);
+      case 'fast':
+        return this.getFastModePrompt(transcript, metadata, transcriptLimit);
+      default:
+        return this.getDetailedModePrompt(transcript, metadata, transcriptLimit);
     }
-    return views.toString();
+  }
+
+  // Without captions the model gets the uploader's description, and is told so
+  contentLabel(transcript, label = 'Transcript') {
+    return transcript.source === 'description'
+      ? 'No transcript available. Video description, chapters and pinned comment'
+      : label;
+  }
+
+  truncateTranscript(text, limit) {
+    return text.length > limit ? `${text.substring(0, limit)}...` : text;
+  }
+
+  // Transcript text with a [m:ss] marker every TIMED_MARKER_SECONDS, so key-topic
+  // timestamps can point at real moments; plain text when timings are unknown
+  formatTimedTranscript(transcript, limit) {
+    if (!Array.isArray(transcript.segments) || transcript.segments.length === 0) {
+      return this.truncateTranscript(transcript.text, limit);
+    }
+
+    let nextMarker = 0;
+    const parts = transcript.segments.map(segment => {
+      if (segment.start < nextMarker) return segment.text;
+      nextMarker = segment.start + TIMED_MARKER_SECONDS;
+      return `[${TranscriptChunker.formatTimestamp(segment.start)}] ${segment.text}`;
+    });
+    return this.truncateTranscript(parts.join(' '), limit);
+  }
+
+  getRepairPrompt(content, errors, metadata) {
+    return `Your previous reply could not be used as a video summary: ${errors.join('; ')}.
+
+Previous reply:
+${this.truncateTranscript(content, 6000)}
+
+Return only a corrected JSON object in exactly this format. Keep the content of the previous reply where possible; if it was cut off, finish it briefly.
+{
+  "quickSummary": {
+    "bullets": ["point 1", "point 2", "point 3"],
+    "quote": "key quote or insight",
+    "confidence": 0.9,
+    "duration": "${metadata.duration || ''}"
+  },
+  "detailedSummary": {
+    "paragraphs": ["paragraph 1"],
+    "keyTopics": [{"topic": "Topic Name", "timestamp": "MM:SS"}],
+    "takeaways": ["takeaway 1"]
+  }
+}`;
+  }
+
+  getChunkPrompt(chunk, metadata) {
+    const range = `${TranscriptChunker.formatTimestamp(chunk.start)}-${TranscriptChunker.formatTimestamp(chunk.end)}`;
+    return `Summarize this section of a longer YouTube video:
+
+Video: ${metadata.title}
+Channel: ${metadata.channel}
+Section: ${range}${chunk.estimated ? ' (approximate)' : ''}
+
+Transcript section:
+${chunk.text}
+
+Format as JSON:
+{
+  "topic": "short title for what this section covers (3-6 words)",
+  "summary": "2-3 sentences on what is said in this section",
+  "keyPoints": ["specific point 1", "specific point 2"],
+  "quote": "most memorable line from this section, or empty string"
+}`;
+  }
+
+  getReducePrompt(notes, metadata, mode) {
+    const modeConfig = SUMMARY_MODES[mode];
+    const wordRange = mode === 'extended' ? '20-25 words' : '15-20 words';
+    const sections = notes.map(note => {
+      const range = `${TranscriptChunker.formatTimestamp(note.start)}-${TranscriptChunker.formatTimestamp(note.end)}`;
+      return `[${range}] ${note.topic}
+${note.summary}
+Key points: ${note.keyPoints.join('; ')}${note.quote ? `\nQuote: "${note.quote}"` : ''}`;
+    }).join('\n\n');
+
+    return `Create a summary of this YouTube video from notes covering every section of its transcript:
+
+Video Details:
+- Title: ${metadata.title}
+- Channel: ${metadata.channel}
+- Duration: ${metadata.duration}
+- Views: ${metadata.views}
+
+Section notes (in order):
+${sections}
+
+Cover the whole video, not just the beginning. Be specific and avoid generic statements.
+Format as JSON:
+{
+  "quickSummary": {
+    "bullets": ["specific point 1 (${wordRange})", "specific point 2 (${wordRange})", "specific point 3 (${wordRange})"],
+    "quote": "most impactful quote or insight from the notes (${wordRange})",
+    "confidence": 0.9,
+    "duration": "${metadata.duration}"
+  },
+  "detailedSummary": {
+    "paragraphs": [${Array.from({ length: modeConfig.paragraphs }, (_, i) => `"paragraph ${i + 1}"`).join(', ')}],
+    "takeaways": [${Array.from({ length: modeConfig.takeaways }, (_, i) => `"specific takeaway ${i + 1}"`).join(', ')}]
+  }
+}`;
+  }
+
+  getFastModePrompt(transcript, metadata, transcriptLimit = SUMMARY_MODES.fast.transcriptLimit) {
+    return `Create concise but informative summary:
+
+Video: ${metadata.title}
+Channel: ${metadata.channel}
+${this.contentLabel(transcript)}: ${this.truncateTranscript(transcript.text, transcriptLimit)}
+
+JSON format (80-120 tokens total):
+{
+  "quickSummary": {
+    "bullets": ["specific point 1 (15-20 words)", "specific point 2 (15-20 words)", "specific point 3 (15-20 words)"],
+    "quote": "memorable quote or key insight (15-20 words)",
+    "confidence": 0.9,
+    "duration": "${metadata.duration}"
+  },
+  "detailedSummary": {
+    "paragraphs": ["brief but informative summary paragraph"],
+    "keyTopics": [{"topic": "Main topic", "timestamp": "0:00"}],
+    "takeaways": ["key takeaway"]
+  }
+}`;
+  }
+
+  getDetailedModePrompt(transcript, metadata, transcriptLimit = SUMMARY_MODES.detailed.transcriptLimit) {
+    return `Analyze this YouTube video and create an informative summary:
+
+Video Details:
+- Title: ${metadata.title}
+- Channel: ${metadata.channel}
+- Duration: ${metadata.duration}
+- Views: ${metadata.views}
+
+${this.contentLabel(transcript)}:
+${this.formatTimedTranscript(transcript, transcriptLimit)}
+
+Create a JSON response with:
+1. quickSummary: 3 specific bullet points (15-20 words each), impactful quote (15-20 words), confidence score
+2. detailedSummary: 2 informative paragraphs, key topics with timestamps, main takeaways
+
+Be specific and avoid generic statements. Focus on actual content from the video.
+Format as JSON:
+{
+  "quickSummary": {
+    "bullets": ["specific point 1 (15-20 words)", "specific point 2 (15-20 words)", "specific point 3 (15-20 words)"],
+    "quote": "memorable quote or key insight from video (15-20 words)",
+    "confidence": 0.95,
+    "duration": "${metadata.duration}"
+  },
+  "detailedSummary": {
+    "paragraphs": ["informative paragraph 1", "informative paragraph 2"],
+    "keyTopics": [{"topic": "Topic Name", "timestamp": "MM:SS"}],
+    "takeaways": ["specific takeaway 1", "specific takeaway 2"]
+  }
+}`;
+  }
+
+  getExtendedModePrompt(transcript, metadata, transcriptLimit = SUMMARY_MODES.extended.transcriptLimit) {
+    return `Create a comprehensive, detailed analysis of this YouTube video:
+
+Video Details:
+- Title: ${metadata.title}
+- Channel: ${metadata.channel}
+- Duration: ${metadata.duration}
+- Views: ${metadata.views}
+
+${this.contentLabel(transcript, 'Full Transcript')}:
+${this.formatTimedTranscript(transcript, transcriptLimit)}
+
+Provide a detailed JSON response with:
+1. quickSummary: 3 comprehensive bullet points (20-25 words each), impactful quote (20-25 words)
+2. detailedSummary: 3-4 detailed paragraphs, 5-6 key topics with timestamps, 4-5 actionable takeaways
+
+Focus on depth, insights, practical applications, and specific examples from the video.
+
+Format as JSON:
+{
+  "quickSummary": {
+    "bullets": ["comprehensive point 1 (20-25 words)", "comprehensive point 2 (20-25 words)", "comprehensive point 3 (20-25 words)"],
+    "quote": "most impactful quote or insight from the video (20-25 words)",
+    "confidence": 0.95,
+    "duration": "${metadata.duration}"
+  },
+  "detailedSummary": {
+    "paragraphs": ["detailed paragraph 1 (60-80 words)", "detailed paragraph 2 (60-80 words)", "detailed paragraph 3 (60-80 words)", "conclusion paragraph (40-60 words)"],
+    "keyTopics": [
+      {"topic": "Introduction and Context", "timestamp": "0:00"},
+      {"topic": "Main Topic 1", "timestamp": "2:30"},
+      {"topic": "Main Topic 2", "timestamp": "5:15"},
+      {"topic": "Key Examples/Case Studies", "timestamp": "8:00"},
+      {"topic": "Practical Applications", "timestamp": "12:30"},
+      {"topic": "Conclusions and Next Steps", "timestamp": "15:45"}
+    ],
+    "takeaways": [
+      "Specific actionable takeaway 1 with practical application",
+      "Specific actionable takeaway 2 with examples",
+      "Specific actionable takeaway 3 with implementation steps",
+      "Key insight or principle that viewers should remember",
+      "Next steps or resources for further learning"
+    ]
+  }
+}`;
   }
 }
 
@@ -190,4 +730,4 @@ class RateLimiter {
   }
 }
 
-window.VideoSummarizer = VideoSummarizer;
\ No newline at end of file
+self.VideoSummarizer = VideoSummarizer;
@@ -0,0 +1,196 @@
+// Validates model output against the summary format, coercing what it can
+const SUMMARY_LIMITS = {
+  bullets: { max: 5, chars: 200 },
+  quote: { chars: 300 },
+  paragraphs: { max: 6, chars: 1500 },
+  keyTopics: { max: 12, chars: 120 },
+  takeaways: { max: 8, chars: 300 }
+};
+
+const DEFAULT_CONFIDENCE = 0.7;
+
+// Keys models commonly wrap the whole summary in
+const SUMMARY_WRAPPER_KEYS = ['summary', 'result', 'response', 'data', 'output', 'videoSummary'];
+
+class SummaryValidator {
+  // Returns { valid, summary, issues, errors }. issues lists what was coerced;
+  // errors lists why the output is unusable (valid is false when non-empty).
+  // optionalFields names detailedSummary fields the prompt did not ask for.
+  validate(raw, { metadata = {}, optionalFields = [] } = {}) {
+    const issues = [];
+    const errors = [];
+
+    const root = this.unwrap(raw, issues);
+    if (!root) {
+      errors.push('response is not a JSON object');
+      return { valid: false, summary: null, issues, errors };
+    }
+
+    // Flat output: summary fields at the top level instead of nested
+    let quick = root.quickSummary;
+    let detailed = root.detailedSummary;
+    if (!this.isObject(quick) && !this.isObject(detailed) && (root.bullets || root.paragraphs)) {
+      issues.push('flat summary restructured');
+      quick = root;
+      detailed = root;
+    }
+    if (!this.isObject(quick)) {
+      if (quick !== undefined) issues.push('quickSummary is not an object');
+      quick = {};
+    }
+    if (!this.isObject(detailed)) {
+      if (detailed !== undefined) issues.push('detailedSummary is not an object');
+      detailed = {};
+    }
+
+    const summary = {
+      quickSummary: {
+        bullets: this.stringList(quick.bullets, 'bullets', SUMMARY_LIMITS.bullets, issues, /\n+/),
+        quote: this.quote(quick.quote, issues),
+        confidence: this.confidence(quick.confidence, issues),
+        duration: this.text(quick.duration, 40) || metadata.duration || ''
+      },
+      detailedSummary: {
+        paragraphs: this.stringList(detailed.paragraphs, 'paragraphs', SUMMARY_LIMITS.paragraphs, issues, /\n\s*\n/),
+        keyTopics: optionalFields.includes('keyTopics') && detailed.keyTopics === undefined
+          ? []
+          : this.keyTopics(detailed.keyTopics, issues),
+        takeaways: this.stringList(detailed.takeaways, 'takeaways', SUMMARY_LIMITS.takeaways, issues, /\n+/)
+      }
+    };
+
+    if (summary.quickSummary.bullets.length === 0 && summary.detailedSummary.paragraphs.length === 0) {
+      errors.push('no bullets or paragraphs');
+    }
+
+    return { valid: errors.length === 0, summary, issues: [...new Set(issues)], errors };
+  }
+
+  // Strip arrays of one and wrapper objects like { "summary": { ... } }
+  unwrap(raw, issues) {
+    let value = raw;
+    if (Array.isArray(value) && value.length === 1) {
+      issues.push('unwrapped array');
+      value = value[0];
+    }
+    if (!this.isObject(value)) return null;
+
+    if (!value.quickSummary && !value.detailedSummary) {
+      const wrapperKey = SUMMARY_WRAPPER_KEYS.find(key => this.isObject(value[key]));
+      const onlyKey = Object.keys(value).length === 1 ? Object.keys(value)[0] : null;
+      const key = wrapperKey || (onlyKey && this.isObject(value[onlyKey]) ? onlyKey : null);
+      if (key) {
+        issues.push(`unwrapped "${key}"`);
+        return this.unwrap(value[key], issues);
+      }
+    }
+    return value;
+  }
+
+  // Arrays of strings; a single string is split on `separator`, objects yield their text
+  stringList(value, field, limit, issues, separator) {
+    if (value === undefined || value === null) {
+      issues.push(`${field} missing`);
+      return [];
+    }
+
+    let items = value;
+    if (typeof items === 'string') {
+      issues.push(`${field} was a string`);
+      items = items.split(separator);
+    } else if (!Array.isArray(items)) {
+      issues.push(`${field} has the wrong type`);
+      return [];
+    }
+
+    const strings = items
+      .map(item => (this.isObject(item) ? item.text || item.point || item.content : item))
+      .map(item => this.text(item, limit.chars, field, issues))
+      .map(item => item.replace(/^\s*(?:[-•*]|\d+[.)])\s+/, ''))
+      .filter(Boolean);
+
+    if (strings.length > limit.max) {
+      issues.push(`${field} trimmed to ${limit.max}`);
+    }
+    return strings.slice(0, limit.max);
+  }
+
+  keyTopics(value, issues) {
+    if (!Array.isArray(value)) {
+      issues.push(value === undefined ? 'keyTopics missing' : 'keyTopics has the wrong type');
+      return [];
+    }
+
+    const topics = value.map(item => {
+      if (typeof item === 'string') {
+        // "12:30 - Topic" or "Topic (12:30)"
+        const match = item.match(/(\d+(?::\d{1,2}){1,2})/);
+        const topic = item.replace(/[([]?\d+(?::\d{1,2}){1,2}[)\]]?\s*[-–:]?\s*/, '');
+        return { topic: this.text(topic, SUMMARY_LIMITS.keyTopics.chars), timestamp: this.timestamp(match?.[1]) };
+      }
+      if (!this.isObject(item)) return null;
+      return {
+        topic: this.text(item.topic || item.title || item.name, SUMMARY_LIMITS.keyTopics.chars, 'keyTopics', issues),
+        timestamp: this.timestamp(item.timestamp ?? item.time ?? item.start)
+      };
+    }).filter(topic => topic && topic.topic);
+
+    if (topics.length < value.length) {
+      issues.push(`${value.length - topics.length} unusable keyTopics dropped`);
+    }
+    return topics.slice(0, SUMMARY_LIMITS.keyTopics.max);
+  }
+
+  // Normalize "1:5", "01:05:00" or seconds to m:ss / h:mm:ss; '' when unknown
+  timestamp(value) {
+    if (typeof value === 'number' && isFinite(value)) {
+      return TranscriptChunker.formatTimestamp(value);
+    }
+    if (typeof value === 'string') {
+      const seconds = TranscriptChunker.parseTimestamp(value.replace(/^\[|\]$/g, ''));
+      if (seconds || /^0+(:0+){1,2}$/.test(value.trim())) {
+        return TranscriptChunker.formatTimestamp(seconds);
+      }
+    }
+    return '';
+  }
+
+  quote(value, issues) {
+    const quote = this.text(value, SUMMARY_LIMITS.quote.chars, 'quote', issues);
+    return quote.replace(/^["“']+|["”']+$/g, '').trim();
+  }
+
+  confidence(value, issues) {
+    let confidence = typeof value === 'string' ? parseFloat(value) : value;
+    if (typeof confidence !== 'number' || !isFinite(confidence)) {
+      issues.push('confidence defaulted');
+      return DEFAULT_CONFIDENCE;
+    }
+    if (confidence > 1 && confidence <= 100) {
+      issues.push('confidence rescaled from percent');
+      confidence /= 100;
+    }
+    return Math.min(1, Math.max(0, confidence));
+  }
+
+  // Coerce to a trimmed string, cutting at a word boundary past `maxChars`
+  text(value, maxChars, field, issues) {
+    if (value === undefined || value === null || this.isObject(value) || Array.isArray(value)) {
+      return '';
+    }
+
+    const text = String(value).replace(/\s+/g, ' ').trim();
+    if (text.length <= maxChars) return text;
+
+    if (issues) issues.push(`${field} shortened`);
+    const cut = text.substring(0, maxChars);
+    const lastSpace = cut.lastIndexOf(' ');
+    return `${lastSpace > maxChars / 2 ? cut.substring(0, lastSpace) : cut}…`;
+  }
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+self.SummaryValidator = SummaryValidator;
@@ -0,0 +1,108 @@
+// Splits long transcripts into time-ranged chunks for map-reduce summarization
+class TranscriptChunker {
+  constructor({ maxChars = 12000, maxSeconds = 900 } = {}) {
+    this.maxChars = maxChars; // Upper bound on chunk size (~3k tokens)
+    this.maxSeconds = maxSeconds; // Upper bound on chunk length when timings are known
+  }
+
+  // Returns [{ index, text, start, end, estimated }] with times in seconds
+  chunk(transcript, totalSeconds = 0) {
+    if (Array.isArray(transcript.segments) && transcript.segments.length > 0) {
+      return this.chunkSegments(transcript.segments);
+    }
+    return this.chunkText(transcript.text || '', totalSeconds);
+  }
+
+  // Timed segments: close a chunk when it gets too long in characters or in time
+  chunkSegments(segments) {
+    const chunks = [];
+    let current = null;
+
+    for (const segment of segments) {
+      const text = (segment.text || '').trim();
+      if (!text) continue;
+
+      const segmentEnd = segment.start + (segment.duration || 0);
+      const tooLong = current && (
+        current.text.length + text.length + 1 > this.maxChars ||
+        segmentEnd - current.start > this.maxSeconds
+      );
+
+      if (tooLong) {
+        chunks.push(current);
+        current = null;
+      }
+
+      if (!current) {
+        current = { index: chunks.length, text: text, start: segment.start, end: segmentEnd, estimated: false };
+      } else {
+        current.text += ` ${text}`;
+        current.end = Math.max(current.end, segmentEnd);
+      }
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+    return chunks;
+  }
+
+  // Flat text: cut at sentence (or word) boundaries and spread the video length
+  // over the chunks in proportion to their character offsets
+  chunkText(text, totalSeconds) {
+    const chunks = [];
+    let offset = 0;
+
+    while (offset < text.length) {
+      let end = Math.min(offset + this.maxChars, text.length);
+
+      if (end < text.length) {
+        const window = text.substring(offset, end);
+        const sentenceBreak = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+        const wordBreak = window.lastIndexOf(' ');
+        // Only back off to a boundary in the second half of the window
+        if (sentenceBreak > this.maxChars / 2) {
+          end = offset + sentenceBreak + 1;
+        } else if (wordBreak > this.maxChars / 2) {
+          end = offset + wordBreak;
+        }
+      }
+
+      const chunkText = text.substring(offset, end).trim();
+      if (chunkText) {
+        chunks.push({
+          index: chunks.length,
+          text: chunkText,
+          start: totalSeconds ? Math.floor(totalSeconds * offset / text.length) : 0,
+          end: totalSeconds ? Math.floor(totalSeconds * end / text.length) : 0,
+          estimated: true
+        });
+      }
+      offset = end;
+    }
+
+    return chunks;
+  }
+
+  static formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+
+    if (hours > 0) {
+      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  // Parse "1:02:03" / "12:30" into seconds; 0 when not a timestamp
+  static parseTimestamp(value) {
+    if (typeof value !== 'string' || !/^\d+(:\d{1,2}){1,2}$/.test(value.trim())) {
+      return 0;
+    }
+    return value.trim().split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+  }
+}
+
+self.TranscriptChunker = TranscriptChunker;
@@ -1,133 +1,163 @@
-// YouTube API integration for transcript extraction
+// YouTube Data API v3 metadata source, used when a youtubeApiKey is set. Cards
+// on a page are looked up in batches of up to 50 IDs per videos.list call, and
+// the daily quota is tracked so lookups stop (and the background falls back to
+// parsing the watch page) once it is spent.
+const YOUTUBE_API_BATCH_SIZE = 50; // videos.list maximum
+const YOUTUBE_API_LIST_COST = 1; // Quota units per videos.list call, whatever the batch size
+const YOUTUBE_API_DAILY_QUOTA = 10000; // Default quota of a Google Cloud project
+const YOUTUBE_API_QUOTA_KEY = 'youtubeApiQuota';
+const YOUTUBE_API_DETAILS_TTL = 60 * 60 * 1000;
+const YOUTUBE_API_DETAILS_LIMIT = 500;
+
 class YouTubeAPI {
   constructor() {
-    this.apiKey = null;
     this.baseURL = 'https://www.googleapis.com/youtube/v3';
-    this.init();
+    this.details = new Map(); // videoId -> { details, fetchedAt }
+    this.pending = new Map(); // videoId -> promise of the batch request fetching it
+    this.quotaQueue = Promise.resolve();
   }
 
-  async init() {
-    const settings = await chrome.storage.sync.get(['youtubeApiKey']);
-    this.apiKey = settings.youtubeApiKey;
+  // Kept in local storage with the other API keys; read per call so changes apply at once
+  async getApiKey() {
+    const { youtubeApiKey } = await chrome.storage.local.get(['youtubeApiKey']);
+    return (youtubeApiKey || '').trim();
   }
 
+  // Formatted details, or null without a key, once the quota is spent, or on any error
   async getVideoDetails(videoId) {
-    if (!this.apiKey) {
-      console.warn('YouTube API key not configured');
-      return null;
+    const details = await this.getVideosDetails([videoId]);
+    return details.get(videoId) || null;
+  }
+
+  // Map of videoId -> details for the IDs the API knows; never throws. IDs already
+  // cached or being fetched are not requested again.
+  async getVideosDetails(videoIds) {
+    const results = new Map();
+    const apiKey = await this.getApiKey();
+    if (!apiKey) return results;
+
+    const missing = [...new Set(videoIds)].filter(videoId => !this.getCached(videoId) && !this.pending.has(videoId));
+    for (let i = 0; i < missing.length; i += YOUTUBE_API_BATCH_SIZE) {
+      const batch = missing.slice(i, i + YOUTUBE_API_BATCH_SIZE);
+      const request = this.fetchBatch(batch, apiKey);
+      batch.forEach(videoId => this.pending.set(videoId, request));
     }
+    await Promise.all(videoIds.map(videoId => this.pending.get(videoId)));
+
+    videoIds.forEach(videoId => {
+      const details = this.getCached(videoId);
+      if (details) results.set(videoId, details);
+    });
+    return results;
+  }
 
+  async fetchBatch(videoIds, apiKey) {
     try {
+      if (!await this.reserveQuota(YOUTUBE_API_LIST_COST)) {
+        console.log(`📉 [YouTube API] Daily quota spent, skipping lookup of ${videoIds.length} videos`);
+        return;
+      }
+
       const response = await fetch(
-        `${this.baseURL}/videos?part=snippet,statistics,contentDetails&id=${videoId}&key=${this.apiKey}`
+        `${this.baseURL}/videos?part=snippet,statistics,contentDetails&id=${videoIds.join(',')}&key=${encodeURIComponent(apiKey)}`
       );
-      
-      const data = await response.json();
-      
-      if (data.items && data.items.length > 0) {
-        return this.formatVideoDetails(data.items[0]);
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const reason = data.error?.errors?.[0]?.reason || '';
+        if (/quotaExceeded|dailyLimitExceeded/.test(reason)) {
+          await this.exhaustQuota();
+        }
+        console.warn(`⚠️ [YouTube API] videos.list failed (${response.status} ${reason}):`, data.error?.message);
+        return;
       }
-      
-      return null;
+
+      for (const item of data.items || []) {
+        this.details.delete(item.id);
+        this.details.set(item.id, { details: this.formatVideoDetails(item), fetchedAt: Date.now() });
+      }
+      while (this.details.size > YOUTUBE_API_DETAILS_LIMIT) {
+        this.details.delete(this.details.keys().next().value);
+      }
+      console.log(`✅ [YouTube API] Details for ${data.items?.length || 0} of ${videoIds.length} videos`);
     } catch (error) {
-      console.error('YouTube API error:', error);
-      return null;
+      console.error('❌ [YouTube API] Lookup failed:', error);
+    } finally {
+      videoIds.forEach(videoId => this.pending.delete(videoId));
     }
   }
 
+  getCached(videoId) {
+    const entry = this.details.get(videoId);
+    if (!entry || Date.now() - entry.fetchedAt > YOUTUBE_API_DETAILS_TTL) return null;
+    return entry.details;
+  }
+
   formatVideoDetails(video) {
+    const snippet = video.snippet || {};
+    const viewCount = parseInt(video.statistics?.viewCount, 10);
     return {
       id: video.id,
-      title: video.snippet.title,
-      description: video.snippet.description,
-      channelTitle: video.snippet.channelTitle,
-      publishedAt: video.snippet.publishedAt,
-      duration: video.contentDetails.duration,
-      viewCount: parseInt(video.statistics.viewCount),
-      likeCount: parseInt(video.statistics.likeCount || 0),
-      thumbnail: video.snippet.thumbnails.medium?.url
+      title: snippet.title || '',
+      description: snippet.description || '',
+      channelTitle: snippet.channelTitle || '',
+      channelId: snippet.channelId || '',
+      publishedAt: snippet.publishedAt || '',
+      isLive: snippet.liveBroadcastContent === 'live',
+      duration: this.parseDuration(video.contentDetails?.duration || ''),
+      viewCount: isNaN(viewCount) ? null : viewCount,
+      likeCount: parseInt(video.statistics?.likeCount || 0, 10),
+      thumbnail: snippet.thumbnails?.medium?.url
     };
   }
 
-  // Extract transcript using DOM scraping (fallback method)
-  async extractTranscriptFromDOM(videoId) {
-    try {
-      // This would typically involve scraping YouTube's transcript data
-      // from the video page or using undocumented APIs
-      
-      // For demo purposes, we'll simulate transcript extraction
-      return await this.simulateTranscriptExtraction(videoId);
-    } catch (error) {
-      console.error('DOM transcript extraction failed:', error);
-      return null;
-    }
+  // { day, used, limit, exhausted }; the quota resets at midnight Pacific time
+  async getQuota() {
+    const data = await chrome.storage.local.get([YOUTUBE_API_QUOTA_KEY]);
+    const stored = data[YOUTUBE_API_QUOTA_KEY];
+    const day = this.quotaDay();
+    const used = stored?.day === day ? stored.used : 0;
+    return { day, used, limit: YOUTUBE_API_DAILY_QUOTA, exhausted: used >= YOUTUBE_API_DAILY_QUOTA };
   }
 
-  async simulateTranscriptExtraction(videoId) {
-    // Simulate network delay and transcript processing
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        const mockTranscripts = {
-          dQw4w9WgXcQ: {
-            text: "We're no strangers to love. You know the rules and so do I. A full commitment's what I'm thinking of. You wouldn't get this from any other guy.",
-            duration: 212,
-            language: "en"
-          },
-          default: {
-            text: "This video covers important topics and provides valuable insights for viewers. The content includes detailed explanations, practical examples, and actionable advice that can help viewers understand the subject matter better.",
-            duration: 600,
-            language: "en"
-          }
-        };
-
-        const transcript = mockTranscripts[videoId] || mockTranscripts.default;
-        resolve(transcript);
-      }, 100);
-    });
+  // Counts the units before the call; false when they would go over the daily quota
+  reserveQuota(units) {
+    return this.updateQuota(quota => (quota.used + units > quota.limit ? null : quota.used + units));
   }
 
-  // Parse YouTube duration format (PT4M13S) to seconds
-  parseDuration(duration) {
-    const match = duration.match(/PT(\d+H)?(\d+M)?(\d+S)?/);
-    if (!match) return 0;
-
-    const hours = parseInt(match[1]) || 0;
-    const minutes = parseInt(match[2]) || 0;
-    const seconds = parseInt(match[3]) || 0;
-
-    return hours * 3600 + minutes * 60 + seconds;
+  // The API said the quota is gone (shared project, other clients): stop for today
+  exhaustQuota() {
+    return this.updateQuota(quota => quota.limit);
   }
 
-  // Format seconds to readable duration
-  formatDuration(seconds) {
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    const secs = seconds % 60;
+  // Serialized so concurrent batches don't overwrite each other's counts
+  updateQuota(nextUsed) {
+    const update = this.quotaQueue.then(async () => {
+      const quota = await this.getQuota();
+      const used = nextUsed(quota);
+      if (used === null) return false;
+      await chrome.storage.local.set({ [YOUTUBE_API_QUOTA_KEY]: { day: quota.day, used } });
+      return true;
+    });
+    this.quotaQueue = update.catch(() => {});
+    return update;
+  }
 
-    if (hours > 0) {
-      return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-    }
-    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+  quotaDay() {
+    return new Date().toLocaleDateString('en-CA', { timeZone: 'America/Los_Angeles' });
   }
 
-  // Extract video ID from various YouTube URL formats
-  extractVideoId(url) {
-    const patterns = [
-      /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\n?#]+)/,
-      /youtube\.com\/v\/([^&\n?#]+)/,
-      /youtube\.com\/watch\?.*v=([^&\n?#]+)/
-    ];
-
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match && match[1]) {
-        return match[1];
-      }
-    }
+  // Parse YouTube duration format (PT4M13S, P1DT2H) to seconds
+  parseDuration(duration) {
+    const match = duration.match(/P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?/);
+    if (!match) return 0;
+
+    const days = parseInt(match[1]) || 0;
+    const hours = parseInt(match[2]) || 0;
+    const minutes = parseInt(match[3]) || 0;
+    const seconds = parseInt(match[4]) || 0;
 
-    return null;
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
   }
 }
 
-// Export for use in other modules
-window.YouTubeAPI = YouTubeAPI;
\ No newline at end of file
+self.YouTubeAPI = YouTubeAPI;
@@ -0,0 +1,108 @@
+// The one cache for summaries, transcripts and video metadata. Keys follow a
+// single scheme (type, video, mode, prompt version, model, language) so a
+// summary made with another prompt, model or caption language is never served
+// for the current configuration. Content scripts go through the worker's cache
+// messages, and every lookup is counted here as a hit or a miss.
+const CACHE_STATS_KEY = 'cacheStats';
+const CACHE_KEY_PARTS = ['type', 'videoId', 'mode', 'promptVersion', 'model', 'language'];
+
+class CacheService {
+  constructor(store) {
+    this.store = store; // PersistentCache: in-memory front over IndexedDB
+    this.statsQueue = Promise.resolve();
+  }
+
+  // "summary|abc123|detailed|1|openai/gpt-4o-mini|en"; parts that don't apply are "-"
+  key(parts) {
+    return CACHE_KEY_PARTS.map(name => (parts[name] === undefined || parts[name] === '' ? '-' : String(parts[name]))).join('|');
+  }
+
+  // Inverse of key(); parts that didn't apply come back undefined
+  parseKey(key) {
+    const values = key.split('|');
+    return Object.fromEntries(CACHE_KEY_PARTS.map((name, index) => [name, values[index] === '-' ? undefined : values[index]]));
+  }
+
+  // parts.type is 'summary', 'transcript' or 'metadata' and picks the TTL.
+  // A value that accept() rejects is a miss.
+  async get(parts, accept = () => true) {
+    const value = await this.store.get(this.key(parts));
+    const hit = value !== null && accept(value);
+    this.count(parts.type, hit);
+    return hit ? value : null;
+  }
+
+  // Like get(), but not counted as a lookup (internal checks, not user requests)
+  peek(parts) {
+    return this.store.get(this.key(parts));
+  }
+
+  // [{ parts, value }] of the live entries of one type; not counted as lookups
+  async entries(type) {
+    const entries = await this.store.readAll();
+    return entries
+      .filter(entry => entry.type === type && entry.expiresAt > Date.now())
+      .map(entry => ({ parts: this.parseKey(entry.key), value: entry.value }))
+      .filter(entry => entry.parts.type === type && entry.parts.videoId);
+  }
+
+  async set(parts, value) {
+    await this.store.set(this.key(parts), value, parts.type);
+  }
+
+  // { maxEntries, policy } from the popup's cache settings
+  configure(options) {
+    return this.store.configure(options);
+  }
+
+  async delete(parts) {
+    await this.store.delete(this.key(parts));
+  }
+
+  async clear() {
+    await this.store.clear();
+    await this.statsQueue;
+    await chrome.storage.local.remove(CACHE_STATS_KEY);
+  }
+
+  // Counts survive worker restarts; writes are serialized like the diagnostics log's
+  count(type, hit) {
+    this.statsQueue = this.statsQueue
+      .then(async () => {
+        const stats = await this.readCounts();
+        const counts = stats[type] || (stats[type] = { hits: 0, misses: 0 });
+        counts[hit ? 'hits' : 'misses']++;
+        await chrome.storage.local.set({ [CACHE_STATS_KEY]: stats });
+      })
+      .catch(error => console.error('❌ [Cache] Failed to count lookup:', error));
+  }
+
+  async readCounts() {
+    const data = await chrome.storage.local.get([CACHE_STATS_KEY]);
+    return data[CACHE_STATS_KEY] || {};
+  }
+
+  // { hits, misses, hitRate, byType: { [type]: { hits, misses, entries, bytes } }, entries, bytes }
+  async getStats() {
+    await this.statsQueue;
+    const [counts, storeStats] = await Promise.all([this.readCounts(), this.store.getStats()]);
+    const byType = {};
+    let hits = 0;
+    let misses = 0;
+    for (const type of new Set([...Object.keys(counts), ...Object.keys(storeStats.byType)])) {
+      byType[type] = { hits: 0, misses: 0, entries: 0, bytes: 0, ...counts[type], ...storeStats.byType[type] };
+      hits += byType[type].hits;
+      misses += byType[type].misses;
+    }
+    return {
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+      byType,
+      entries: storeStats.entries,
+      bytes: storeStats.bytes
+    };
+  }
+}
+
+self.CacheService = CacheService;
@@ -0,0 +1,104 @@
+// Reads a video's caption track list from the watch page and orders the tracks
+// by the user's language preference: manual captions in a preferred language,
+// then auto-generated (ASR) ones, then YouTube's machine translation (tlang).
+// Callers try the whole ranked list, so only the last-resort tracks are capped.
+const CAPTION_FALLBACK_LIMIT = 5; // Tracks in other languages, for videos with dozens
+
+class CaptionTrackSelector {
+  // Fallback for pages without a parsable player response: find the track list itself
+  parse(html) {
+    return this.fromRenderer(this.extractJSONValue(html, 'playerCaptionsTracklistRenderer'));
+  }
+
+  // { tracks: [{ baseUrl, languageCode, name, kind, isTranslatable, vssId }], translationLanguages: [{ code, name }] }
+  fromRenderer(renderer) {
+    if (!renderer || !Array.isArray(renderer.captionTracks)) {
+      return { tracks: [], translationLanguages: [] };
+    }
+
+    const tracks = renderer.captionTracks
+      .filter(track => track.baseUrl)
+      .map(track => ({
+        baseUrl: track.baseUrl,
+        languageCode: track.languageCode || '',
+        name: WatchPageParser.readText(track.name) || track.languageCode || 'Unknown',
+        kind: track.kind === 'asr' ? 'asr' : 'manual',
+        isTranslatable: Boolean(track.isTranslatable),
+        vssId: track.vssId || ''
+      }));
+    const translationLanguages = (renderer.translationLanguages || [])
+      .filter(language => language.languageCode)
+      .map(language => ({ code: language.languageCode, name: WatchPageParser.readText(language.languageName) || language.languageCode }));
+    return { tracks, translationLanguages };
+  }
+
+  // Candidates to try in order: [{ url, track: { languageCode, name, kind, translatedTo, label } }].
+  // languages are lowercase codes, most preferred first.
+  rank({ tracks, translationLanguages }, languages) {
+    const candidates = [];
+    const add = (track, translation = null) => {
+      const translatedTo = translation ? translation.code : null;
+      if (!track || candidates.some(candidate => candidate.source === track && candidate.track.translatedTo === translatedTo)) return;
+      const info = { languageCode: track.languageCode, name: track.name, kind: track.kind, translatedTo };
+      info.label = this.describe(info, translation);
+      candidates.push({
+        source: track,
+        url: translatedTo ? `${track.baseUrl}&tlang=${encodeURIComponent(translatedTo)}` : track.baseUrl,
+        track: info
+      });
+    };
+
+    const manual = tracks.filter(track => track.kind === 'manual');
+    const asr = tracks.filter(track => track.kind === 'asr');
+    languages.forEach(language => add(this.findLanguage(manual, language)));
+    languages.forEach(language => add(this.findLanguage(asr, language)));
+
+    // Translate the best source track into the first preferred language YouTube offers
+    const targetLanguage = languages.find(language =>
+      translationLanguages.some(translation => this.languageMatches(translation.code, language))
+    );
+    const translatable = [...manual, ...asr].find(track =>
+      track.isTranslatable && !this.languageMatches(track.languageCode, targetLanguage || '')
+    );
+    if (targetLanguage && translatable) {
+      const translation = translationLanguages.find(translation => translation.code.toLowerCase() === targetLanguage) ||
+        translationLanguages.find(translation => this.languageMatches(translation.code, targetLanguage));
+      add(translatable, translation);
+    }
+
+    // Anything else, untranslated, as a last resort
+    [...manual, ...asr]
+      .filter(track => !candidates.some(candidate => candidate.source === track))
+      .slice(0, CAPTION_FALLBACK_LIMIT)
+      .forEach(track => add(track));
+    return candidates.map(({ url, track }) => ({ url, track }));
+  }
+
+  // Exact code first ("pt-BR"), then the base language ("pt")
+  findLanguage(tracks, language) {
+    return tracks.find(track => track.languageCode.toLowerCase() === language) ||
+      tracks.find(track => this.languageMatches(track.languageCode, language));
+  }
+
+  languageMatches(code, language) {
+    return code.toLowerCase().split('-')[0] === language.split('-')[0];
+  }
+
+  // Label shown in the modal, e.g. "English (auto-generated)" or "German → English"
+  describe(track, translation) {
+    const name = track.kind === 'asr' && !/auto-generated/i.test(track.name)
+      ? `${track.name} (auto-generated)`
+      : track.name;
+    return translation ? `${name} → ${translation.name}` : name;
+  }
+
+  // Parse the JSON object or array that follows "key": in a page's inline scripts
+  extractJSONValue(source, key) {
+    const keyIndex = source.indexOf(`"${key}":`);
+    if (keyIndex === -1) return null;
+    const valueStart = keyIndex + key.length + 3;
+    return WatchPageParser.readJSON(source, valueStart + source.slice(valueStart).search(/\S/));
+  }
+}
+
+self.CaptionTrackSelector = CaptionTrackSelector;
@@ -0,0 +1,61 @@
+// Fallback content for videos without captions: the uploader's description, its
+// chapter list and the pinned comment, shaped like a transcript. Summaries made
+// from it are labelled as such, and its chapters become the key topics.
+const DESCRIPTION_MIN_CHARS = 150;
+
+// Lines that carry no content: bare links, hashtags, "Follow me on ..." calls
+const DESCRIPTION_BOILERPLATE = /^(?:https?:\/\/\S+|(?:#\w+\s*)+|.*\b(?:subscribe|follow (?:me|us)|patreon|instagram|twitter|tiktok|discord|merch)\b.*)$/i;
+
+class DescriptionSource {
+  // { available, source: 'description', text, prose, segments, chapters, length }.
+  // text is what the AI sees; prose leaves out the chapter list for sentence ranking.
+  build(metadata) {
+    const chapters = metadata.chapters || [];
+    const description = this.clean(metadata.description || '');
+    const pinnedComment = this.clean(metadata.pinnedComment || '');
+    const prose = [description, pinnedComment].filter(Boolean).join('\n\n');
+    if (prose.length < DESCRIPTION_MIN_CHARS && chapters.length === 0) {
+      return { available: false, source: 'description_too_short' };
+    }
+
+    const sections = [];
+    if (description) sections.push(`Description:\n${description}`);
+    if (chapters.length > 0) {
+      sections.push(`Chapters:\n${chapters.map(chapter => `${TranscriptChunker.formatTimestamp(chapter.start)} ${chapter.title}`).join('\n')}`);
+    }
+    if (pinnedComment) sections.push(`Pinned comment:\n${pinnedComment}`);
+    const text = sections.join('\n\n');
+
+    return {
+      available: true,
+      source: 'description',
+      text,
+      prose,
+      segments: [],
+      chapters,
+      length: text.length,
+      note: 'No transcript; built from the video description'
+    };
+  }
+
+  // Drops timestamp lines (kept as chapters) and link/social boilerplate
+  clean(text) {
+    return text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => !/^[([]?(?:\d{1,2}:)?\d{1,2}:\d{2}\b/.test(line) && !DESCRIPTION_BOILERPLATE.test(line))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Chapters in the validated keyTopics shape
+  keyTopics(chapters) {
+    return chapters.slice(0, SUMMARY_LIMITS.keyTopics.max).map(chapter => ({
+      topic: chapter.title.substring(0, SUMMARY_LIMITS.keyTopics.chars),
+      timestamp: TranscriptChunker.formatTimestamp(chapter.start)
+    }));
+  }
+}
+
+self.DescriptionSource = DescriptionSource;
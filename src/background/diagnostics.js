@@ -0,0 +1,41 @@
+// Persistent log of pipeline events (invalid model output, repairs, tokens saved by cleanup, ...).
+// Kept in chrome.storage.local so it survives service worker restarts and is
+// included in the popup's data export.
+const DIAGNOSTICS_STORAGE_KEY = 'diagnostics';
+const DIAGNOSTICS_MAX_EVENTS = 100;
+
+class DiagnosticsLog {
+  constructor() {
+    this.writeQueue = Promise.resolve();
+  }
+
+  // type is a short event name, e.g. 'summary-repaired'; details must be JSON-serializable
+  record(type, details = {}) {
+    console.warn(`🩺 [Diagnostics] ${type}`, details);
+    const event = { type, at: new Date().toISOString(), ...details };
+
+    // Serialize writes so concurrent events don't overwrite each other
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const report = await this.getReport();
+        report.counts[type] = (report.counts[type] || 0) + 1;
+        report.events = [event, ...report.events].slice(0, DIAGNOSTICS_MAX_EVENTS);
+        await chrome.storage.local.set({ [DIAGNOSTICS_STORAGE_KEY]: report });
+      })
+      .catch(error => console.error('❌ [Diagnostics] Failed to record event:', error));
+    return this.writeQueue;
+  }
+
+  // { counts: { [type]: number }, events: [newest first] }
+  async getReport() {
+    const data = await chrome.storage.local.get([DIAGNOSTICS_STORAGE_KEY]);
+    return data[DIAGNOSTICS_STORAGE_KEY] || { counts: {}, events: [] };
+  }
+
+  async clear() {
+    await this.writeQueue;
+    await chrome.storage.local.remove(DIAGNOSTICS_STORAGE_KEY);
+  }
+}
+
+self.DiagnosticsLog = DiagnosticsLog;
@@ -0,0 +1,227 @@
+// Cache that survives service worker restarts: entries live in IndexedDB, with
+// a small in-memory front for the ones used most recently. Every entry has a
+// type-specific TTL and an estimated size. Expired entries go first; then, by
+// the eviction policy, least recently or least frequently used ones until the
+// summary count (the popup's cache size) and the byte budget both fit.
+const CACHE_DB_NAME = 'quicksight-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'entries';
+
+const CACHE_TTLS = {
+  summary: 7 * 24 * 60 * 60 * 1000, // All modes
+  transcript: 3 * 24 * 60 * 60 * 1000,
+  metadata: 6 * 60 * 60 * 1000 // View counts go stale
+};
+// Byte budget per allowed summary, leaving room for its transcript and metadata
+const CACHE_BYTES_PER_SUMMARY = 256 * 1024;
+const CACHE_MEMORY_ENTRIES = 30;
+
+// Eviction order: 'lru' drops the least recently used entry first, 'lfu' the one
+// with the fewest hits (least recently used among equals)
+const CACHE_EVICTION_ORDER = {
+  lru: (a, b) => a.lastAccess - b.lastAccess,
+  lfu: (a, b) => a.hits - b.hits || a.lastAccess - b.lastAccess
+};
+
+class PersistentCache {
+  constructor({ maxEntries = 100, policy = 'lru' } = {}) {
+    this.maxEntries = maxEntries; // Summaries; transcripts and metadata only count toward maxBytes
+    this.maxBytes = maxEntries * CACHE_BYTES_PER_SUMMARY;
+    this.policy = policy;
+    this.memory = new Map(); // key -> entry, least recently used first
+    this.dbPromise = null;
+  }
+
+  // Resolves to null when IndexedDB can't be opened; the cache then only lives in memory
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve) => {
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(CACHE_STORE, { keyPath: 'key' });
+          store.createIndex('expiresAt', 'expiresAt');
+          store.createIndex('lastAccess', 'lastAccess');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.error('❌ [Cache] Could not open IndexedDB, caching in memory only:', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Runs callback(store) in one transaction; resolves with the value it returns
+  async transaction(mode, callback) {
+    const db = await this.openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(CACHE_STORE, mode);
+      let result = null;
+      Promise.resolve(callback(tx.objectStore(CACHE_STORE))).then(value => {
+        result = value;
+      });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Cached value, or null when missing or expired
+  async get(key) {
+    const now = Date.now();
+    let entry = this.memory.get(key);
+    if (entry) {
+      entry.lastAccess = now;
+      entry.hits = (entry.hits || 0) + 1;
+      // Recency only steers eviction, so the stored copy is updated in the background
+      this.touch(key, now).catch(() => {});
+    } else {
+      entry = await this.touch(key, now).catch(error => {
+        console.error('❌ [Cache] Read failed:', error);
+        return null;
+      });
+    }
+
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      await this.delete(key);
+      return null;
+    }
+    this.remember(entry);
+    return entry.value;
+  }
+
+  // Reads the stored entry and records the access in the same transaction, so
+  // an entry evicted in the meantime is not written back. null without IndexedDB.
+  touch(key, now) {
+    return this.transaction('readwrite', async store => {
+      const stored = await PersistentCache.request(store.get(key));
+      if (stored && stored.expiresAt > now) {
+        stored.lastAccess = now;
+        stored.hits = (stored.hits || 0) + 1;
+        store.put(stored);
+      }
+      return stored || null;
+    });
+  }
+
+  // type picks the TTL: 'summary', 'transcript' or 'metadata'
+  async set(key, value, type) {
+    const now = Date.now();
+    const entry = {
+      key,
+      type,
+      value,
+      bytes: this.estimateBytes(key, value),
+      createdAt: now,
+      lastAccess: now,
+      expiresAt: now + (CACHE_TTLS[type] || CACHE_TTLS.metadata),
+      hits: 0
+    };
+    this.remember(entry);
+
+    try {
+      await this.transaction('readwrite', store => store.put(entry));
+      await this.evict(key);
+    } catch (error) {
+      console.error('❌ [Cache] Write failed:', error);
+    }
+  }
+
+  // Applies a changed cache size or policy right away
+  async configure({ maxEntries = this.maxEntries, policy = this.policy }) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxEntries * CACHE_BYTES_PER_SUMMARY;
+    this.policy = CACHE_EVICTION_ORDER[policy] ? policy : 'lru';
+    console.log(`⚙️ [Cache] ${this.maxEntries} summaries, ${Math.round(this.maxBytes / 1024 / 1024)} MB, ${this.policy.toUpperCase()} eviction`);
+    await this.evict().catch(error => console.error('❌ [Cache] Eviction failed:', error));
+  }
+
+  async delete(key) {
+    this.memory.delete(key);
+    await this.transaction('readwrite', store => store.delete(key)).catch(() => {});
+  }
+
+  async clear() {
+    this.memory.clear();
+    await this.transaction('readwrite', store => store.clear());
+    console.log('🗑️ [Cache] Cleared');
+  }
+
+  // { entries, bytes, byType: { [type]: { entries, bytes } } } of live entries
+  async getStats() {
+    const entries = await this.readAll();
+    const stats = { entries: 0, bytes: 0, byType: {} };
+    entries.filter(entry => entry.expiresAt > Date.now()).forEach(entry => {
+      const type = stats.byType[entry.type] || (stats.byType[entry.type] = { entries: 0, bytes: 0 });
+      type.entries++;
+      type.bytes += entry.bytes;
+      stats.entries++;
+      stats.bytes += entry.bytes;
+    });
+    return stats;
+  }
+
+  // Drops expired entries, then evicts in policy order until both budgets fit.
+  // Only summaries count toward maxEntries, so when just the count is over, only
+  // summaries go. keepKey (the entry just written) is never evicted. All entries
+  // are read, which is fine at a few hundred.
+  async evict(keepKey = null) {
+    const entries = await this.readAll();
+    const now = Date.now();
+    const expired = entries.filter(entry => entry.expiresAt <= now);
+    const live = entries
+      .filter(entry => entry.expiresAt > now)
+      .sort(CACHE_EVICTION_ORDER[this.policy] || CACHE_EVICTION_ORDER.lru);
+
+    let bytes = live.reduce((total, entry) => total + entry.bytes, 0);
+    let summaries = live.filter(entry => entry.type === 'summary').length;
+    const evicted = [];
+    for (const entry of live) {
+      const overBytes = bytes > this.maxBytes;
+      if (!overBytes && summaries <= this.maxEntries) break;
+      if (entry.key === keepKey || (!overBytes && entry.type !== 'summary')) continue;
+
+      evicted.push(entry);
+      bytes -= entry.bytes;
+      if (entry.type === 'summary') summaries--;
+    }
+
+    const removed = [...expired, ...evicted];
+    if (removed.length === 0) return;
+    await this.transaction('readwrite', store => removed.forEach(entry => store.delete(entry.key)));
+    removed.forEach(entry => this.memory.delete(entry.key));
+    console.log(`🗑️ [Cache] Evicted ${evicted.length} entries (${this.policy.toUpperCase()}), ${expired.length} expired; ${summaries} summaries, ${Math.round(bytes / 1024)} KB left`);
+  }
+
+  async readAll() {
+    const entries = await this.transaction('readonly', store => PersistentCache.request(store.getAll()));
+    return entries || [...this.memory.values()];
+  }
+
+  // Keep entry as the most recently used of the in-memory front
+  remember(entry) {
+    this.memory.delete(entry.key);
+    this.memory.set(entry.key, entry);
+    while (this.memory.size > CACHE_MEMORY_ENTRIES) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  // UTF-16 size of key and serialized value, close to what IndexedDB stores
+  estimateBytes(key, value) {
+    return (key.length + JSON.stringify(value ?? null).length) * 2;
+  }
+
+  static request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+self.PersistentCache = PersistentCache;
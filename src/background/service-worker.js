@@ -1,9 +1,76 @@
 // QuickSight Background Service Worker - Testing Version
+
+// Background services first (diagnostics log, usage ledger, cache, transcript
+// parsing and cleanup, watch page, caption and description sources, transcript
+// export, YouTube Data API), then the shared AI layer: provider adapters, the
+// summarizer that routes through them and its offline fallback
+importScripts(
+  '/src/background/diagnostics.js',
+  '/src/background/usage-ledger.js',
+  '/src/background/persistent-cache.js',
+  '/src/background/cache-service.js',
+  '/src/background/transcript-parser.js',
+  '/src/background/transcript-cleaner.js',
+  '/src/background/watch-page.js',
+  '/src/background/caption-tracks.js',
+  '/src/background/description-source.js',
+  '/src/background/transcript-exporter.js',
+  '/src/api/youtube.js',
+  '/src/ai/errors.js',
+  '/src/ai/providers/base-provider.js',
+  '/src/ai/providers/provider-registry.js',
+  '/src/ai/providers/openai-provider.js',
+  '/src/ai/providers/custom-provider.js',
+  '/src/ai/providers/claude-provider.js',
+  '/src/ai/providers/gemini-provider.js',
+  '/src/ai/transcript-chunker.js',
+  '/src/ai/summary-validator.js',
+  '/src/ai/summarizer.js',
+  '/src/ai/extractive-summarizer.js'
+);
+
+// Failures that get an offline extractive summary instead of an error:
+// no provider set up, or the provider is unreachable
+const EXTRACTIVE_FALLBACK_KINDS = ['config', 'network', 'transient', 'rate_limit'];
+
+// How long a provider connection test is trusted before the next summary re-checks
+const PROVIDER_HEALTH_TTL = 10 * 60 * 1000;
+const PROVIDER_HEALTH_FAILURE_TTL = 60 * 1000;
+
+// Transcripts handed over by watch-page content scripts; newest kept
+const PAGE_TRANSCRIPT_LIMIT = 5;
+
+const WATCH_PAGE_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.5'
+};
+
 class QuickSightBackground {
   constructor() {
-    this.cache = new Map();
+    this.providers = new ProviderRegistry();
+    [
+      new OpenAIProvider(),
+      new ClaudeProvider(),
+      new GeminiProvider(),
+      new CustomOpenAIProvider()
+    ].forEach(provider => this.providers.register(provider));
+    this.diagnostics = new DiagnosticsLog();
+    this.usageLedger = new UsageLedger();
+    this.summarizer = new VideoSummarizer(this.providers, this.diagnostics, this.usageLedger);
+    this.extractiveSummarizer = new ExtractiveSummarizer();
+    this.transcriptParser = new TranscriptParser();
+    this.transcriptCleaner = new TranscriptCleaner();
+    this.watchPage = new WatchPageParser();
+    this.captionTracks = new CaptionTrackSelector();
+    this.descriptionSource = new DescriptionSource();
+    this.transcriptExporter = new TranscriptExporter();
+    this.youtubeApi = new YouTubeAPI();
+    this.providerHealth = null; // { promise, expiresAt } of the last connection test
+    this.pageTranscripts = new Map(); // videoId -> transcript read in the watch page
+    
     this.pendingRequests = new Map(); // Prevent duplicate requests
-    this.maxCacheSize = 100;
+    this.cache = new CacheService(new PersistentCache()); // Summaries, transcripts and metadata
     this.init();
   }
 
@@ -22,6 +89,26 @@ class QuickSightBackground {
       this.handleMessage(request, sender, sendResponse);
       return true; // Keep message channel open for async responses
     });
+
+    // A new key, model or provider invalidates the cached connection test
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const providerKeys = ['aiProvider', 'customBaseUrl', 'customModels', ...this.providers.getKeySettings()];
+      if (Object.keys(changes).some(key => providerKeys.includes(key))) {
+        this.providerHealth = null;
+      }
+      // A smaller cache size or another policy evicts right away
+      if (areaName === 'sync' && ('maxCacheSize' in changes || 'cacheEviction' in changes)) {
+        this.configureCache();
+      }
+    });
+    this.configureCache();
+
+    // Long-lived ports stream extended summaries to the modal
+    chrome.runtime.onConnect.addListener((port) => {
+      if (port.name === 'quicksight-extended-summary') {
+        this.handleExtendedSummaryPort(port);
+      }
+    });
   }
 
   async initializeStorage() {
@@ -29,9 +116,15 @@ class QuickSightBackground {
       enabled: true,
       aiProvider: 'openai',
       apiKey: '',
-      maxCacheSize: 100,
+      maxCacheSize: 100, // Summaries kept; also sets the cache's byte budget
+      cacheEviction: 'lru', // 'lru' or 'lfu'
       preloadCount: 3,
-      hoverDelay: 200
+      hoverDelay: 200,
+      captionLanguages: '', // Comma-separated codes, most preferred first; empty = browser language
+      ...CLEANUP_DEFAULTS,
+      budgetDaily: 0, // USD, 0 = no cap
+      budgetMonthly: 0,
+      budgetAction: 'preload' // 'preload' pauses preloading only, 'all' every AI call
     };
 
     const existing = await chrome.storage.sync.get(Object.keys(defaultSettings));
@@ -68,30 +161,34 @@ class QuickSightBackground {
           }
 
           // Check if we have this in our background cache first
-          const cacheKey = `bg_summary_${request.videoId}`;
-          if (this.cache.has(cacheKey)) {
+          const cacheKey = await this.summaryCacheKey(request.videoId, 'detailed');
+          const cachedSummary = await this.getCurrentSummary(cacheKey);
+          if (cachedSummary) {
             console.log(`💾 [Background] Using background cache for: ${request.videoId}`);
-            const cached = this.cache.get(cacheKey).data;
-            sendResponse({ success: true, data: cached, cached: true });
+            sendResponse({ success: true, data: cachedSummary, cached: true });
             return;
           }
           
+          await this.enforceBudget(request.source);
+
           // Create pending promise to prevent duplicates
           const processingPromise = this.processVideoSummary(request.videoId, false, false);
           this.pendingRequests.set(pendingKey, processingPromise);
           
-          const summary = await processingPromise;
-          
-          // Remove from pending and add to cache
-          this.pendingRequests.delete(pendingKey);
+          let summary;
+          try {
+            summary = await processingPromise;
+          } finally {
+            // Failed requests must not stay pending, or every retry would get the same error
+            this.pendingRequests.delete(pendingKey);
+          }
           
-          // Cache in background for faster subsequent requests
-          this.cache.set(cacheKey, {
-            data: summary,
-            timestamp: Date.now(),
-            ttl: 3600000 // 1 hour
-          });
-          console.log(`💾 [Background] Cached summary in background cache`);
+          // Cache in background for faster subsequent requests; extractive
+          // fallbacks are not cached so the AI summary replaces them once available
+          if (!summary.extractive) {
+            await this.cache.set(cacheKey, summary);
+            console.log(`💾 [Background] Cached summary in background cache`);
+          }
           
           const processingTime = Date.now() - startTime;
           console.log(`⏱️ [Background] Total processing time: ${processingTime}ms`);
@@ -103,19 +200,23 @@ class QuickSightBackground {
           console.log(`🎯 [Background] Processing EXTENDED summary for: ${request.videoId}`);
           
           // Check cache first
-          const extendedCacheKey = `bg_extended_${request.videoId}`;
-          if (this.cache.has(extendedCacheKey)) {
+          const extendedCacheKey = await this.summaryCacheKey(request.videoId, 'extended');
+          const cachedExtended = await this.getCurrentSummary(extendedCacheKey);
+          if (cachedExtended) {
             console.log(`💾 [Background] Using cached extended summary for: ${request.videoId}`);
-            const cached = this.cache.get(extendedCacheKey);
-            sendResponse({ success: true, data: cached, cached: true });
+            sendResponse({ success: true, data: cachedExtended, cached: true });
             return;
           }
           
+          await this.enforceBudget(request.source);
+
           // Generate extended summary
           const extendedSummary = await this.processVideoSummary(request.videoId, false, true);
           
           // Cache extended summary
-          this.addToCache(extendedCacheKey, extendedSummary);
+          if (!extendedSummary.extractive) {
+            await this.cache.set(extendedCacheKey, extendedSummary);
+          }
           
           sendResponse({ success: true, data: extendedSummary });
           break;
@@ -126,429 +227,325 @@ class QuickSightBackground {
           sendResponse({ success: true, data: testResult });
           break;
 
+        case 'listCustomModels':
+          console.log('🤖 [Background] Listing custom endpoint models');
+          const customModels = await this.listCustomModels();
+          sendResponse({ success: true, data: customModels });
+          break;
+
+        case 'listProviders':
+          sendResponse({ success: true, data: this.providers.list() });
+          break;
+
+        case 'testProvider':
+          console.log(`🤖 [Background] Testing ${request.provider || 'configured'} provider connection`);
+          const providerTest = await this.testProviderConnection(request.provider);
+          sendResponse({ success: true, data: providerTest });
+          break;
+
+        case 'getDiagnostics':
+          sendResponse({ success: true, data: await this.diagnostics.getReport() });
+          break;
+
+        case 'clearDiagnostics':
+          await this.diagnostics.clear();
+          sendResponse({ success: true });
+          break;
+
+        case 'getPageCaptionTracks':
+          const pageCaptionTracks = await this.getPageCaptionTracks(sender.tab?.id, request.videoId);
+          sendResponse({ success: true, data: pageCaptionTracks });
+          break;
+
+        case 'providePageTranscript':
+          this.storePageTranscript(request.videoId, request.transcript);
+          sendResponse({ success: true });
+          break;
+
+        case 'getTranscript':
+          sendResponse({ success: true, data: await this.getTranscript(request.videoId) });
+          break;
+
+        case 'exportTranscript':
+          console.log(`🤖 [Background] Exporting ${request.format} transcript for ${request.videoId}`);
+          sendResponse({ success: true, data: await this.exportTranscript(request.videoId, request.format) });
+          break;
+
+        case 'prefetchVideoDetails':
+          const prefetched = await this.youtubeApi.getVideosDetails(request.videoIds || []);
+          sendResponse({ success: true, data: { count: prefetched.size } });
+          break;
+
+        case 'getYouTubeApiQuota':
+          sendResponse({ success: true, data: await this.youtubeApi.getQuota() });
+          break;
+
+        case 'getCachedSummary':
+          const lookupKey = await this.summaryCacheKey(request.videoId, request.mode || 'detailed');
+          sendResponse({ success: true, data: await this.getCurrentSummary(lookupKey) });
+          break;
+
+        case 'getCacheStats':
+          sendResponse({ success: true, data: await this.cache.getStats() });
+          break;
+
+        case 'regenerateOutdated':
+          sendResponse({ success: true, data: await this.regenerateOutdatedSummaries() });
+          break;
+
+        case 'clearCache':
+          await this.cache.clear();
+          sendResponse({ success: true });
+          break;
+
+        case 'getUsageSummary':
+          const usageSummary = await this.usageLedger.getSummary();
+          const budget = await this.usageLedger.getBudgetStatus(await this.getBudgetSettings());
+          sendResponse({ success: true, data: { ...usageSummary, budget } });
+          break;
+
         default:
           console.warn('❓ [Background] Unknown action:', request.action);
           sendResponse({ success: false, error: 'Unknown action' });
       }
     } catch (error) {
       console.error('❌ [Background] Error handling message:', error);
-      sendResponse({ success: false, error: error.message });
+      sendResponse({ success: false, error: error.message, errorInfo: SummaryError.from(error).toJSON() });
     }
   }
 
-  addToCache(key, value) {
-    // Implement LRU eviction if cache is full
-    if (this.cache.size >= this.maxCacheSize) {
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-      console.log(`🗑️ [Background] Evicted cache entry: ${firstKey}`);
-    }
-    
-    this.cache.set(key, {
-      data: value,
-      timestamp: Date.now(),
-      ttl: 3600000 // 1 hour
+  // Port protocol: the tab posts { action: 'streamExtendedSummary', videoId } and
+  // receives { type: 'partial' | 'done' | 'error' } messages. Disconnecting the
+  // port (the modal closed) aborts the provider request.
+  handleExtendedSummaryPort(port) {
+    const controller = new AbortController();
+    port.onDisconnect.addListener(() => controller.abort());
+
+    port.onMessage.addListener(async (request) => {
+      if (request.action !== 'streamExtendedSummary') return;
+      console.log(`🎯 [Background] Streaming EXTENDED summary for: ${request.videoId}`);
+
+      const post = (message) => {
+        if (!controller.signal.aborted) {
+          port.postMessage(message);
+        }
+      };
+
+      try {
+        const extendedCacheKey = await this.summaryCacheKey(request.videoId, 'extended');
+        const cached = await this.getCurrentSummary(extendedCacheKey);
+        if (cached) {
+          console.log(`💾 [Background] Using cached extended summary for: ${request.videoId}`);
+          post({ type: 'done', data: cached, cached: true });
+          return;
+        }
+
+        await this.enforceBudget('user');
+        const extendedSummary = await this.processVideoSummary(request.videoId, false, true, {
+          signal: controller.signal,
+          onPartial: (partial) => post({ type: 'partial', data: partial })
+        });
+
+        if (!extendedSummary.extractive) {
+          await this.cache.set(extendedCacheKey, extendedSummary);
+        }
+        post({ type: 'done', data: extendedSummary });
+      } catch (error) {
+        if (controller.signal.aborted) {
+          console.log(`🛑 [Background] Extended summary stream cancelled for: ${request.videoId}`);
+          return;
+        }
+        console.error('❌ [Background] Extended summary stream failed:', error);
+        post({ type: 'error', error: error.message, errorInfo: SummaryError.from(error).toJSON() });
+      }
     });
   }
 
-  getCachedData(key) {
-    const cached = this.cache.get(key);
-    if (!cached) return null;
-    
-    // Check if expired
-    if (Date.now() - cached.timestamp > cached.ttl) {
-      this.cache.delete(key);
-      console.log(`⏰ [Background] Cache entry expired: ${key}`);
-      return null;
-    }
-    
-    return cached.data;
+  async configureCache() {
+    const { maxCacheSize, cacheEviction } = await chrome.storage.sync.get(['maxCacheSize', 'cacheEviction']);
+    await this.cache.configure({ maxEntries: Number(maxCacheSize) || 100, policy: cacheEviction || 'lru' });
   }
-  async processVideoSummary(videoId, fastMode = false, extendedMode = false) {
-    const mode = extendedMode ? 'EXTENDED' : fastMode ? 'FAST' : 'NORMAL';
-    console.log(`🔍 [Background] Processing video summary (${mode}): ${videoId}`);
 
-    try {
-      // Step 1: Extract video metadata
-      const metadata = await this.extractVideoMetadata(videoId);
-
-      // Step 2: Extract transcript
-      const transcript = await this.testTranscriptExtraction(videoId);
+  async getBudgetSettings() {
+    const settings = await chrome.storage.sync.get(['budgetDaily', 'budgetMonthly', 'budgetAction']);
+    return {
+      budgetDaily: Number(settings.budgetDaily) || 0,
+      budgetMonthly: Number(settings.budgetMonthly) || 0,
+      budgetAction: settings.budgetAction || 'preload'
+    };
+  }
 
-      // Step 3: Check OpenAI API availability
-      const openaiTest = await this.testOpenAIConnection();
+  // Throws a 'budget' SummaryError once a cap is hit. source is 'preload' for
+  // background preloading; anything else counts as the user asking.
+  async enforceBudget(source = 'user') {
+    const status = await this.usageLedger.getBudgetStatus(await this.getBudgetSettings());
+    if (!status.exceeded || (status.action !== 'all' && source !== 'preload')) return;
 
-      // Step 4: Generate summary based on available data
-      console.log(`🎯 [Background] Generating ${mode.toLowerCase()} AI summary...`);
-      
-      if (transcript.available && openaiTest.success) {
-        return await this.generateRealSummary(transcript, metadata, videoId, fastMode, extendedMode);
-      } else if (transcript.available) {
-        return this.generateEnhancedMockSummary(transcript, metadata, videoId, extendedMode);
-      } else {
-        return this.generateBasicMockSummary(metadata, videoId, extendedMode);
-      }
-    } catch (error) {
-      console.error('❌ [Background] Video processing failed:', error);
-      return this.generateErrorSummary(error.message, videoId, extendedMode);
-    }
+    const cap = status.exceeded === 'daily' ? status.daily : status.monthly;
+    console.log(`💸 [Background] ${status.exceeded} budget of $${cap} reached, skipping ${source} request`);
+    throw new SummaryError(`Your ${status.exceeded} AI budget of $${cap.toFixed(2)} has been reached.`, { kind: 'budget' });
   }
 
-  // Generate real AI summary using OpenAI
-  async generateRealSummary(transcript, metadata, videoId, fastMode = false, extendedMode = false) {
-    const mode = extendedMode ? 'EXTENDED' : fastMode ? 'FAST' : 'DETAILED';
-    console.log(`🤖 [Background] Generating ${mode} AI summary`);
-    
+  // streamOptions ({ signal, onPartial }) streams the AI completion; see VideoSummarizer.generateSummary.
+  // Failures throw a SummaryError so the UI can show what went wrong and how to fix it.
+  async processVideoSummary(videoId, fastMode = false, extendedMode = false, streamOptions = {}) {
+    const mode = extendedMode ? 'EXTENDED' : fastMode ? 'FAST' : 'NORMAL';
+    console.log(`🔍 [Background] Processing video summary (${mode}): ${videoId}`);
+
     try {
-      const settings = await chrome.storage.sync.get(['apiKey']);
-      
-      // Use different prompts for fast vs detailed mode
-      let prompt, maxTokens, model;
-      
-      if (extendedMode) {
-        prompt = this.getExtendedModePrompt(transcript, metadata);
-        maxTokens = 600;
-        model = 'gpt-4o'; // Use full GPT-4 for extended summaries
-      } else if (fastMode) {
-        prompt = this.getFastModePrompt(transcript, metadata);
-        maxTokens = 120;
-        model = 'gpt-4o-mini';
-      } else {
-        prompt = this.getDetailedModePrompt(transcript, metadata);
-        maxTokens = 120;
-        model = 'gpt-4o-mini';
+      // Steps 1-2: Metadata and transcript, cached or from one watch page download;
+      // the Transcript tab and exports keep the transcript as fetched
+      const { transcript: rawTranscript, metadata } = await this.loadTranscript(videoId);
+      if (!rawTranscript.available) {
+        throw new SummaryError('No transcript available for this video', { kind: 'no_transcript' });
       }
+      const transcript = await this.cleanTranscript(videoId, rawTranscript);
 
-      console.log(`🌐 [Background] Sending ${mode.toLowerCase()} request to OpenAI (${model})...`);
-      
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${settings.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: [
-            { 
-              role: 'system', 
-              content: extendedMode ?
-                'You are an expert video content analyst. Create comprehensive, detailed summaries with rich insights and analysis.' :
-                fastMode ? 
-                'You are a speed-optimized video summarizer. Create ultra-concise summaries in under 30 tokens.' :
-                'You are an expert video content analyst. Create accurate, engaging summaries.'
-            },
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: maxTokens,
-          temperature: 0.3,
-          response_format: { type: 'json_object' }
-        })
-      });
-      
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
+      // Step 3: Check AI provider availability (cached across summaries)
+      const providerTest = await this.checkProviderHealth();
+      if (!providerTest.success) {
+        const providerError = new SummaryError(providerTest.error || providerTest.message || 'AI provider unavailable', {
+          kind: providerTest.kind || 'config',
+          status: providerTest.status || 0
+        });
+        return this.withSource(
+          this.generateExtractiveSummary(transcript, metadata, fastMode, extendedMode, providerError),
+          transcript
+        );
       }
-      
-      const data = await response.json();
-      console.log(`✅ [Background] OpenAI ${mode.toLowerCase()} response received`);
-      console.log(`💰 [Background] Token usage:`, data.usage);
-      
-      const content = data.choices[0]?.message?.content;
-      if (!content) {
-        throw new Error('No content received from OpenAI');
+
+      // Step 4: Generate the summary
+      console.log(`🎯 [Background] Generating ${mode.toLowerCase()} AI summary...`);
+      let summary;
+      try {
+        summary = await this.generateRealSummary(transcript, metadata, videoId, fastMode, extendedMode, streamOptions);
+      } catch (error) {
+        if (streamOptions.signal?.aborted) throw error;
+        this.providerHealth = null; // Re-test before the next summary
+        summary = this.generateExtractiveSummary(transcript, metadata, fastMode, extendedMode, SummaryError.from(error));
       }
-      
-      const summary = JSON.parse(content);
-      return summary;
-      
+      return this.withSource(summary, transcript);
     } catch (error) {
-      console.error(`❌ [Background] ${mode} summary generation failed:`, error);
-      return this.generateEnhancedMockSummary(transcript, metadata, videoId, extendedMode);
+      if (!streamOptions.signal?.aborted) {
+        console.error('❌ [Background] Video processing failed:', error);
+      }
+      throw error;
     }
   }
 
-  getFastModePrompt(transcript, metadata) {
-    return `Create concise but informative summary:
-
-Video: ${metadata.title}
-Channel: ${metadata.channel}
-Transcript: ${transcript.text.substring(0, 2000)}...
-
-JSON format (80-120 tokens total):
-{
-  "quickSummary": {
-    "bullets": ["specific point 1 (15-20 words)", "specific point 2 (15-20 words)", "specific point 3 (15-20 words)"],
-    "quote": "memorable quote or key insight (15-20 words)",
-    "confidence": 0.9,
-    "duration": "${metadata.duration}"
-  },
-  "detailedSummary": {
-    "paragraphs": ["brief but informative summary paragraph"],
-    "keyTopics": [{"topic": "Main topic", "timestamp": "0:00"}],
-    "takeaways": ["key takeaway"]
-  }
-}`;
+  // Cleanup steps are toggled in the popup; the description is the uploader's
+  // own text and is left alone
+  async cleanTranscript(videoId, transcript) {
+    const { transcript: cleaned, stats } = await this.applyCleanup(transcript);
+    if (!stats) return cleaned;
+    console.log(`🧹 [Background] Cleaned transcript for ${videoId}: ${stats.tokensBefore} -> ${stats.tokensAfter} tokens`);
+    this.diagnostics.record('transcript-cleaned', { videoId, source: transcript.source, ...stats });
+    return cleaned;
   }
 
-  getDetailedModePrompt(transcript, metadata) {
-    return `Analyze this YouTube video and create an informative summary:
-
-Video Details:
-- Title: ${metadata.title}
-- Channel: ${metadata.channel}
-- Duration: ${metadata.duration}
-- Views: ${metadata.views}
-
-Transcript:
-${transcript.text.substring(0, 3000)} ${transcript.text.length > 3000 ? '...' : ''}
-
-Create a JSON response with:
-1. quickSummary: 3 specific bullet points (15-20 words each), impactful quote (15-20 words), confidence score
-2. detailedSummary: 2 informative paragraphs, key topics with timestamps, main takeaways
-
-Be specific and avoid generic statements. Focus on actual content from the video.
-Format as JSON:
-{
-  "quickSummary": {
-    "bullets": ["specific point 1 (15-20 words)", "specific point 2 (15-20 words)", "specific point 3 (15-20 words)"],
-    "quote": "memorable quote or key insight from video (15-20 words)",
-    "confidence": 0.95,
-    "duration": "${metadata.duration}"
-  },
-  "detailedSummary": {
-    "paragraphs": ["informative paragraph 1", "informative paragraph 2"],
-    "keyTopics": [{"topic": "Topic Name", "timestamp": "MM:SS"}],
-    "takeaways": ["specific takeaway 1", "specific takeaway 2"]
-  }
-}`;
-  }
+  // { transcript, stats }; stats is null when the transcript was left as it was
+  async applyCleanup(transcript) {
+    if (transcript.source === 'description') return { transcript, stats: null };
 
-  getExtendedModePrompt(transcript, metadata) {
-    return `Create a comprehensive, detailed analysis of this YouTube video:
-
-Video Details:
-- Title: ${metadata.title}
-- Channel: ${metadata.channel}
-- Duration: ${metadata.duration}
-- Views: ${metadata.views}
-
-Full Transcript:
-${transcript.text.substring(0, 8000)} ${transcript.text.length > 8000 ? '...' : ''}
-
-Provide a detailed JSON response with:
-1. quickSummary: 3 comprehensive bullet points (20-25 words each), impactful quote (20-25 words)
-2. detailedSummary: 3-4 detailed paragraphs, 5-6 key topics with timestamps, 4-5 actionable takeaways
-
-Focus on depth, insights, practical applications, and specific examples from the video.
-
-Format as JSON:
-{
-  "quickSummary": {
-    "bullets": ["comprehensive point 1 (20-25 words)", "comprehensive point 2 (20-25 words)", "comprehensive point 3 (20-25 words)"],
-    "quote": "most impactful quote or insight from the video (20-25 words)",
-    "confidence": 0.95,
-    "duration": "${metadata.duration}"
-  },
-  "detailedSummary": {
-    "paragraphs": ["detailed paragraph 1 (60-80 words)", "detailed paragraph 2 (60-80 words)", "detailed paragraph 3 (60-80 words)", "conclusion paragraph (40-60 words)"],
-    "keyTopics": [
-      {"topic": "Introduction and Context", "timestamp": "0:00"},
-      {"topic": "Main Topic 1", "timestamp": "2:30"},
-      {"topic": "Main Topic 2", "timestamp": "5:15"},
-      {"topic": "Key Examples/Case Studies", "timestamp": "8:00"},
-      {"topic": "Practical Applications", "timestamp": "12:30"},
-      {"topic": "Conclusions and Next Steps", "timestamp": "15:45"}
-    ],
-    "takeaways": [
-      "Specific actionable takeaway 1 with practical application",
-      "Specific actionable takeaway 2 with examples",
-      "Specific actionable takeaway 3 with implementation steps",
-      "Key insight or principle that viewers should remember",
-      "Next steps or resources for further learning"
-    ]
-  }
-}`;
+    const options = { ...CLEANUP_DEFAULTS, ...await chrome.storage.sync.get(Object.keys(CLEANUP_DEFAULTS)) };
+    if (!Object.values(options).some(Boolean)) return { transcript, stats: null };
+
+    const result = this.transcriptCleaner.clean(transcript, options);
+    // Cleanup ate nearly everything; don't trust it
+    return result.transcript.text.length < 100 ? { transcript, stats: null } : result;
   }
-  // Generate enhanced mock summary using transcript
-  generateEnhancedMockSummary(transcript, metadata, videoId, extendedMode = false) {
-    console.log('🎭 [Background] Generating enhanced mock summary with transcript');
-    
-    const transcriptPreview = transcript.text.substring(0, 200);
-    const wordCount = transcript.text.split(' ').length;
-    
-    const baseSummary = {
-      quickSummary: {
-        bullets: [
-          `${metadata.title.substring(0, 50)}${metadata.title.length > 50 ? '...' : ''}`,
-          `${wordCount} words of transcript content available`,
-          `Published by ${metadata.channel}`
-        ],
-        quote: `"${transcriptPreview.split('.')[0]}..."`,
-        duration: metadata.duration,
-        confidence: 0.85
-      },
-      detailedSummary: {
-        paragraphs: [
-          `This video titled "${metadata.title}" was published by ${metadata.channel}. Based on the available transcript of ${wordCount} words, the content appears to cover substantial material.`,
-          `The transcript begins with: "${transcriptPreview}..." This suggests the video provides detailed information on the topic.`
-        ],
-        keyTopics: [
-          { topic: 'Introduction', timestamp: '0:00' },
-          { topic: 'Main Content', timestamp: '2:30' },
-          { topic: 'Key Points', timestamp: '5:00' },
-          { topic: 'Conclusion', timestamp: metadata.duration || '10:00' }
-        ],
-        takeaways: [
-          'Video contains substantial transcript content',
-          'Content appears to be well-structured and informative',
-          'Popular video with significant viewer engagement'
-        ]
-      }
-    };
-    
-    if (extendedMode) {
-      baseSummary.detailedSummary.paragraphs.push(
-        `With ${metadata.views} views and a duration of ${metadata.duration}, this appears to be engaging content that resonates with viewers.`,
-        `The full transcript provides rich material for analysis, though AI processing is currently unavailable. The content structure suggests a well-organized presentation of information.`
-      );
-      baseSummary.detailedSummary.keyTopics.push(
-        { topic: 'Detailed Analysis', timestamp: '7:30' },
-        { topic: 'Advanced Topics', timestamp: '12:00' }
-      );
-      baseSummary.detailedSummary.takeaways.push(
-        'Transcript available for detailed analysis',
-        'Content structure indicates professional production quality'
-      );
+
+  // Record what the summary was made from, for the tooltip and modal: the caption
+  // track, or the description, whose chapters then stand in as key topics. The
+  // provenance (model, prompt version, transcript source and hash) lets outdated
+  // cached summaries be found and regenerated.
+  async withSource(summary, transcript) {
+    summary.captionTrack = transcript.track || null;
+    summary.contentSource = transcript.source === 'description' ? 'description' : 'transcript';
+    if (transcript.source === 'description' && transcript.chapters.length > 0 && summary.detailedSummary) {
+      summary.detailedSummary.keyTopics = this.descriptionSource.keyTopics(transcript.chapters);
     }
-    
-    return baseSummary;
+    summary.provenance = {
+      provider: 'extractive',
+      model: null,
+      promptVersion: null,
+      ...summary.provenance,
+      transcriptSource: transcript.source,
+      transcriptHash: await this.hashText(transcript.text),
+      createdAt: new Date().toISOString()
+    };
+    return summary;
   }
 
-  // Generate basic mock summary without transcript
-  generateBasicMockSummary(metadata, videoId, extendedMode = false) {
-    console.log('🎭 [Background] Generating basic mock summary without transcript');
-    
-    const baseSummary = {
-      quickSummary: {
-        bullets: [
-          `Video: ${metadata.title.substring(0, 40)}${metadata.title.length > 40 ? '...' : ''}`,
-          `Channel: ${metadata.channel}`,
-          `Duration: ${metadata.duration} • Views: ${metadata.views}`
-        ],
-        quote: `"${metadata.title}" - ${metadata.channel}`,
-        duration: metadata.duration,
-        confidence: 0.70
-      },
-      detailedSummary: {
-        paragraphs: [
-          `This video titled "${metadata.title}" is published by ${metadata.channel}. While we couldn't access the full transcript, we can provide insights based on the video metadata.`,
-          `The video has a duration of ${metadata.duration} and has received ${metadata.views} views, indicating viewer interest in the content.`
-        ],
-        keyTopics: [
-          { topic: 'Video Overview', timestamp: '0:00' },
-          { topic: 'Content Analysis', timestamp: '2:00' }
-        ],
-        takeaways: [
-          'Video metadata successfully extracted',
-          'Transcript access limited for this video'
-        ]
-      }
-    };
-    
-    if (extendedMode) {
-      baseSummary.detailedSummary.paragraphs.push(
-        `For a complete analysis with detailed insights, transcript access would be needed. Consider enabling captions on the video if available.`,
-        `Based on the video's popularity and metadata, this appears to be content worth watching for viewers interested in the topic.`
-      );
-      baseSummary.detailedSummary.keyTopics.push(
-        { topic: 'Estimated Content Structure', timestamp: '5:00' },
-        { topic: 'Viewer Engagement Analysis', timestamp: '8:00' }
-      );
-      baseSummary.detailedSummary.takeaways.push(
-        'Consider enabling captions for better analysis',
-        'Video popularity suggests valuable content for target audience'
-      );
-    }
-    
-    return baseSummary;
+  // First 16 hex digits of the SHA-256 of text; enough to tell transcripts apart
+  async hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return [...new Uint8Array(digest).slice(0, 8)].map(byte => byte.toString(16).padStart(2, '0')).join('');
   }
 
-  // Generate error summary
-  generateErrorSummary(errorMessage, videoId, extendedMode = false) {
-    console.log('❌ [Background] Generating error summary');
+  // Generate real AI summary through the configured provider
+  async generateRealSummary(transcript, metadata, videoId, fastMode = false, extendedMode = false, streamOptions = {}) {
+    const mode = extendedMode ? 'extended' : fastMode ? 'fast' : 'detailed';
+    console.log(`🤖 [Background] Generating ${mode.toUpperCase()} AI summary`);
     
-    const baseSummary = {
-      quickSummary: {
-        bullets: [
-          'Unable to process video content',
-          'Technical error occurred during analysis',
-          'Please try again or check extension settings'
-        ],
-        quote: `"Error: ${errorMessage}"`,
-        duration: 'Unknown',
-        confidence: 0.0
-      },
-      detailedSummary: {
-        paragraphs: [
-          `An error occurred while processing video ${videoId}: ${errorMessage}`,
-          'This could be due to network issues, API limitations, or video access restrictions.'
-        ],
-        keyTopics: [
-          { topic: 'Error Occurred', timestamp: '0:00' }
-        ],
-        takeaways: [
-          'Check internet connection',
-          'Verify extension settings'
-        ]
-      }
-    };
-    
-    if (extendedMode) {
-      baseSummary.detailedSummary.paragraphs.push(
-        'Please check your internet connection and extension settings, then try again.',
-        'If the problem persists, this video may not be compatible with our analysis system.'
-      );
-      baseSummary.detailedSummary.takeaways.push(
-        'Try again with a different video',
-        'Contact support if errors persist across multiple videos'
-      );
+    return this.summarizer.generateSummary(transcript, metadata, mode, streamOptions);
+  }
+
+  // Offline fallback for EXTRACTIVE_FALLBACK_KINDS; any other error is rethrown.
+  // The result carries `extractive` so the UI can label it and it is not cached.
+  generateExtractiveSummary(transcript, metadata, fastMode, extendedMode, error) {
+    if (!EXTRACTIVE_FALLBACK_KINDS.includes(error.kind)) {
+      throw error;
     }
-    
-    return baseSummary;
+
+    const mode = extendedMode ? 'extended' : fastMode ? 'fast' : 'detailed';
+    console.log(`📝 [Background] AI unavailable (${error.kind}: ${error.message}), building extractive ${mode} summary`);
+    // Rank the description's prose; its chapter list isn't sentences
+    const source = transcript.source === 'description' ? { text: transcript.prose, segments: [] } : transcript;
+    const summary = this.extractiveSummarizer.summarize(source, metadata, mode);
+    summary.extractive = { reason: error.kind, hint: error.toJSON().hint };
+    return summary;
   }
 
-  async extractVideoMetadata(videoId) {
-    console.log('🌐 [Background] Fetching YouTube page for video:', videoId);
-    
+  // Downloads the watch page; never throws. html is null when the fetch failed.
+  async fetchWatchPage(videoId) {
+    const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
+    console.log('🌐 [Background] Fetching YouTube page:', videoUrl);
+
     try {
-      const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
-      console.log('🌐 [Background] URL:', videoUrl);
-      
-      const response = await fetch(videoUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        }
-      });
-      
+      const response = await fetch(videoUrl, { headers: WATCH_PAGE_HEADERS });
       console.log('🌐 [Background] Response status:', response.status);
-      console.log('🌐 [Background] Response headers:', Object.fromEntries(response.headers.entries()));
-      
       if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        return { html: null, status: response.status, error: `HTTP ${response.status}: ${response.statusText}` };
       }
-      
+
       const html = await response.text();
       console.log('🌐 [Background] HTML length:', html.length, 'characters');
-      console.log('🌐 [Background] HTML preview (first 500 chars):', html.substring(0, 500));
-      
-      // Parse metadata from HTML
-      const metadata = this.parseVideoMetadata(html, videoId);
-      console.log('✅ [Background] Successfully extracted metadata:', metadata);
-      
-      return metadata;
+      return { html, status: response.status, error: null };
     } catch (error) {
+      console.error('❌ [Background] Failed to fetch YouTube page:', error);
+      return { html: null, status: 0, error: error.message };
+    }
+  }
+
+  // page is a fetchWatchPage result to reuse; fetched here when not given
+  // The Data API's details win when a YouTube API key is set and quota is left;
+  // the watch page fills in what the API doesn't have (chapter markers, pinned comment)
+  async extractVideoMetadata(videoId, page = null) {
+    const [{ html, error }, details] = await Promise.all([
+      page || this.fetchWatchPage(videoId),
+      this.youtubeApi.getVideoDetails(videoId)
+    ]);
+    if (details) {
+      const pageMetadata = html ? this.parseVideoMetadata(html, videoId) : {};
+      const metadata = this.apiVideoMetadata(videoId, details);
+      if (pageMetadata.chapters?.length > 0) metadata.chapters = pageMetadata.chapters;
+      metadata.pinnedComment = pageMetadata.pinnedComment || '';
+      metadata.category = pageMetadata.category || '';
+      console.log('✅ [Background] Metadata read from the YouTube Data API');
+      return metadata;
+    }
+    if (!html) {
       console.error('❌ [Background] Failed to extract metadata:', error);
       return {
         videoId,
@@ -557,22 +554,72 @@ Format as JSON:
         duration: 'Unknown',
         views: 'Unknown',
         uploadDate: 'Unknown',
-        error: error.message
+        error
       };
     }
+
+    const metadata = this.parseVideoMetadata(html, videoId);
+    console.log('✅ [Background] Successfully extracted metadata:', metadata);
+    return metadata;
   }
 
+  apiVideoMetadata(videoId, details) {
+    return {
+      videoId,
+      title: details.title || 'Title not found',
+      channel: details.channelTitle || 'Channel not found',
+      channelId: details.channelId,
+      views: details.viewCount !== null ? this.formatViews(details.viewCount) : 'Views not found',
+      duration: this.formatDuration(details.duration),
+      lengthSeconds: details.duration,
+      uploadDate: details.publishedAt.substring(0, 10) || 'Unknown',
+      isLive: details.isLive,
+      description: details.description,
+      chapters: this.watchPage.descriptionChapters(details.description),
+      thumbnail: details.thumbnail || `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`,
+      metadataSource: 'youtube_api'
+    };
+  }
+
+  // Structured player data first; regex over the markup only when the page has none
   parseVideoMetadata(html, videoId) {
+    const page = this.watchPage.parse(html);
+    const structured = this.watchPage.metadata(page);
+    if (structured) {
+      console.log('✅ [Background] Metadata read from ytInitialPlayerResponse');
+      return {
+        videoId,
+        title: structured.title || 'Title not found',
+        channel: structured.channel || 'Channel not found',
+        channelId: structured.channelId,
+        views: structured.viewCount !== null ? this.formatViews(structured.viewCount) : 'Views not found',
+        duration: structured.lengthSeconds !== null ? this.formatDuration(structured.lengthSeconds) : 'Duration not found',
+        lengthSeconds: structured.lengthSeconds,
+        uploadDate: structured.uploadDate || 'Unknown',
+        category: structured.category,
+        isLive: structured.isLive,
+        description: structured.description,
+        chapters: structured.chapters,
+        pinnedComment: structured.pinnedComment,
+        thumbnail: `https://img.youtube.com/vi/${videoId}/mqdefault.jpg`
+      };
+    }
+
+    console.log('⚠️ [Background] No player response in page, falling back to markup patterns');
+    return this.parseVideoMetadataFromMarkup(html, videoId);
+  }
+
+  parseVideoMetadataFromMarkup(html, videoId) {
     console.log('🔍 [Background] Parsing metadata from HTML...');
     
     const metadata = { videoId };
     
     try {
-      // Extract title - try multiple patterns
+      // Extract title - the og:title meta tag is the video's own; <title> can be a consent or error page's
       console.log('📝 [Background] Extracting title...');
-      let titleMatch = html.match(/<title>([^<]+)<\/title>/);
+      let titleMatch = html.match(/<meta\s+property="og:title"\s+content="([^"]+)"/) || html.match(/<title>([^<]+)<\/title>/);
       if (titleMatch) {
-        metadata.title = titleMatch[1].replace(' - YouTube', '').trim();
+        metadata.title = this.transcriptParser.decodeEntities(titleMatch[1]).replace(' - YouTube', '').trim();
         console.log('📝 [Background] Title found:', metadata.title);
       } else {
         // Try alternative pattern
@@ -622,6 +669,7 @@ Format as JSON:
       if (durationMatch) {
         const seconds = parseInt(durationMatch[1]);
         metadata.duration = this.formatDuration(seconds);
+        metadata.lengthSeconds = seconds;
         console.log('⏱️ [Background] Duration found:', metadata.duration);
       } else {
         metadata.duration = 'Duration not found';
@@ -647,14 +695,22 @@ Format as JSON:
     }
   }
 
-  async testTranscriptExtraction(videoId) {
+  // page and metadata are reused when the caller already has them
+  async testTranscriptExtraction(videoId, page = null, metadata = null) {
     console.log('📝 [Background] Testing transcript extraction for:', videoId);
     
     try {
       console.log('📝 [Background] === COMPREHENSIVE TRANSCRIPT EXTRACTION TEST ===');
       
+      // Method 0: the watch page already read this video's transcript in-page
+      const transcriptFromPage = this.pageTranscripts.get(videoId);
+      if (transcriptFromPage) {
+        console.log('✅ [Background] Method 0 SUCCESS: Transcript provided by the watch page');
+        return transcriptFromPage;
+      }
+      
       // Method 1: Try to extract from video page HTML
-      const transcriptFromHTML = await this.extractTranscriptFromHTML(videoId);
+      const transcriptFromHTML = await this.extractTranscriptFromHTML(videoId, page);
       if (transcriptFromHTML.available) {
         console.log('✅ [Background] Method 1 SUCCESS: Transcript extracted from HTML');
         return transcriptFromHTML;
@@ -667,11 +723,11 @@ Format as JSON:
         return transcriptFromAPI;
       }
       
-      // Method 3: Try alternative extraction methods
-      const transcriptFromAlt = await this.extractTranscriptAlternative(videoId);
-      if (transcriptFromAlt.available) {
-        console.log('✅ [Background] Method 3 SUCCESS: Transcript extracted via alternative method');
-        return transcriptFromAlt;
+      // Method 3: No captions at all; fall back to the description, chapters and pinned comment
+      const transcriptFromDescription = this.descriptionSource.build(metadata || await this.extractVideoMetadata(videoId, page));
+      if (transcriptFromDescription.available) {
+        console.log('✅ [Background] Method 3 SUCCESS: Using the video description as content source');
+        return transcriptFromDescription;
       }
       
       console.log('❌ [Background] All transcript extraction methods failed');
@@ -679,7 +735,7 @@ Format as JSON:
         available: false,
         source: 'none',
         message: 'No accessible transcripts found after trying all methods',
-        methods_tried: ['HTML_parsing', 'API_endpoints', 'Alternative_extraction']
+        methods_tried: ['Page_transcript', 'HTML_parsing', 'API_endpoints', 'Description']
       };
       
     } catch (error) {
@@ -692,74 +748,43 @@ Format as JSON:
     }
   }
 
-  async testOpenAIConnection() {
-    console.log('🤖 [Background] Testing OpenAI API connection...');
-    
-    try {
-      // Get API key from storage
-      const settings = await chrome.storage.sync.get(['apiKey']);
-      console.log('🔑 [Background] API key status:', settings.apiKey ? 'Present' : 'Missing');
-      
-      if (!settings.apiKey) {
-        return {
-          success: false,
-          message: 'No API key configured',
-          instruction: 'Please add your OpenAI API key in the extension settings'
-        };
-      }
-      
-      console.log('🌐 [Background] Making test request to OpenAI...');
-      
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${settings.apiKey}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          messages: [
-            { role: 'system', content: 'You are a helpful assistant.' },
-            { role: 'user', content: 'Say "Hello from QuickSight extension test!" in exactly those words.' }
-          ],
-          max_tokens: 50,
-          temperature: 0
-        })
-      });
-      
-      console.log('🌐 [Background] OpenAI response status:', response.status);
-      console.log('🌐 [Background] OpenAI response headers:', Object.fromEntries(response.headers.entries()));
-      
-      if (!response.ok) {
-        const error = await response.json();
-        console.error('❌ [Background] OpenAI API error:', error);
-        return {
-          success: false,
-          status: response.status,
-          error: error.error?.message || 'Unknown API error'
-        };
-      }
-      
-      const data = await response.json();
-      console.log('✅ [Background] OpenAI response received:', data);
-      
-      const message = data.choices[0]?.message?.content;
-      console.log('💬 [Background] OpenAI message:', message);
-      
-      return {
-        success: true,
-        message: message,
-        usage: data.usage,
-        model: data.model
-      };
-      
-    } catch (error) {
-      console.error('❌ [Background] OpenAI test failed:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+  async testProviderConnection(provider) {
+    return this.summarizer.testConnection(provider);
+  }
+
+  // Connection test for the configured provider, shared by every summary until it
+  // expires, provider settings change, or a request to the provider fails
+  checkProviderHealth() {
+    const cached = this.providerHealth;
+    if (cached && (cached.expiresAt === null || cached.expiresAt > Date.now())) {
+      return cached.promise;
     }
+
+    const entry = { expiresAt: null };
+    entry.promise = this.testProviderConnection().then(
+      (result) => {
+        entry.expiresAt = Date.now() + (result.success ? PROVIDER_HEALTH_TTL : PROVIDER_HEALTH_FAILURE_TTL);
+        return result;
+      },
+      (error) => {
+        if (this.providerHealth === entry) this.providerHealth = null;
+        throw error;
+      }
+    );
+    this.providerHealth = entry;
+    return entry.promise;
+  }
+
+  async testOpenAIConnection() {
+    return this.testProviderConnection('openai');
+  }
+
+  // List the models served by the configured OpenAI-compatible endpoint
+  async listCustomModels() {
+    const settings = await this.summarizer.getSettings();
+    const models = await this.providers.get('custom').listModels(settings);
+    console.log(`✅ [Background] Custom endpoint serves ${models.length} models`);
+    return models;
   }
 
   formatDuration(seconds) {
@@ -784,51 +809,219 @@ Format as JSON:
     return `${views} views`;
   }
 
+  // Caption tracks of the video playing in a tab, ranked like Method 1's. The player
+  // response lives in the page's own world, which content scripts can't read.
+  async getPageCaptionTracks(tabId, videoId) {
+    if (!tabId) return [];
+
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId },
+      world: 'MAIN',
+      func: (id) => {
+        const response = document.getElementById('movie_player')?.getPlayerResponse?.() || window.ytInitialPlayerResponse;
+        return response?.videoDetails?.videoId === id ? response.captions?.playerCaptionsTracklistRenderer || null : null;
+      },
+      args: [videoId]
+    });
+
+    const captionTracks = this.captionTracks.fromRenderer(injection?.result);
+    if (captionTracks.tracks.length === 0) return [];
+    return this.captionTracks.rank(captionTracks, await this.getCaptionLanguages());
+  }
+
+  // Keep a transcript read by the watch page's content script for Method 0
+  storePageTranscript(videoId, transcript) {
+    const segments = (transcript?.segments || []).filter(segment =>
+      isFinite(segment.start) && isFinite(segment.duration) && typeof segment.text === 'string' && segment.text
+    );
+    const text = segments.map(segment => segment.text).join(' ');
+    if (!videoId || text.length <= 100) return;
+
+    this.setBounded(this.pageTranscripts, videoId, {
+      available: true,
+      source: transcript.source,
+      text,
+      segments,
+      length: text.length,
+      track: transcript.track || null
+    }, PAGE_TRANSCRIPT_LIMIT);
+    console.log(`✅ [Background] Stored in-page transcript for ${videoId} (${segments.length} segments)`);
+  }
+
+  // Insert as newest, dropping the oldest entries past limit
+  setBounded(map, key, value, limit) {
+    map.delete(key);
+    map.set(key, value);
+    while (map.size > limit) {
+      map.delete(map.keys().next().value);
+    }
+  }
+
+  // Cache key parts of a summary made in `mode` with the current prompt, model and caption language
+  async summaryCacheKey(videoId, mode) {
+    const [model, languages] = await Promise.all([
+      this.summarizer.describeModel(mode).catch(() => 'unconfigured'),
+      this.getCaptionLanguages()
+    ]);
+    return { type: 'summary', videoId, mode, promptVersion: PROMPT_VERSION, model, language: languages[0] };
+  }
+
+  // The cached summary under parts if it is still current, else null
+  async getCurrentSummary(parts) {
+    const stamp = await this.currentTranscriptStamp(parts.videoId);
+    return this.cache.get(parts, summary => this.isCurrentSummary(summary, stamp));
+  }
+
+  // { source, hash } of the transcript a summary made now would use: the one the
+  // watch page handed over or the cached one, cleaned with the current settings.
+  // null when neither is at hand; the summary can't be checked against it then.
+  async currentTranscriptStamp(videoId) {
+    const language = (await this.getCaptionLanguages())[0];
+    const transcript = this.pageTranscripts.get(videoId) || await this.cache.peek({ type: 'transcript', videoId, language });
+    if (!transcript?.available) return null;
+
+    const { transcript: cleaned } = await this.applyCleanup(transcript);
+    return { source: cleaned.source, hash: await this.hashText(cleaned.text) };
+  }
+
+  // The cache key pins model, prompt version and language; the stamp catches
+  // another caption track or other cleanup settings. Summaries cached before
+  // provenance was recorded can't be checked and count as outdated.
+  isCurrentSummary(summary, stamp = null) {
+    const provenance = summary.provenance;
+    if (provenance?.promptVersion !== PROMPT_VERSION) return false;
+    return !stamp || (provenance.transcriptSource === stamp.source && provenance.transcriptHash === stamp.hash);
+  }
+
+  // Re-summarizes every cached summary made with another model, prompt version,
+  // caption language or transcript than the current settings would use, one
+  // video and mode at a time, and drops the outdated entries. Stops at the AI
+  // budget cap.
+  async regenerateOutdatedSummaries() {
+    const entries = await this.cache.entries('summary');
+    const groups = new Map(); // "videoId|mode" -> { current: key parts, upToDate, outdated: [key parts] }
+    const stamps = new Map(); // videoId -> transcript stamp
+    for (const { parts, value } of entries) {
+      const id = `${parts.videoId}|${parts.mode}`;
+      if (!groups.has(id)) {
+        groups.set(id, { current: await this.summaryCacheKey(parts.videoId, parts.mode), upToDate: false, outdated: [] });
+      }
+      if (!stamps.has(parts.videoId)) {
+        stamps.set(parts.videoId, await this.currentTranscriptStamp(parts.videoId));
+      }
+      const group = groups.get(id);
+      const current = this.isCurrentSummary(value, stamps.get(parts.videoId));
+      if (this.cache.key(parts) === this.cache.key(group.current) && current) {
+        group.upToDate = true;
+      } else {
+        group.outdated.push(parts);
+      }
+    }
+
+    const stale = [...groups.values()].filter(group => group.outdated.length > 0);
+    console.log(`🔄 [Background] ${stale.length} of ${groups.size} cached summaries are outdated`);
+    const result = { outdated: stale.length, regenerated: 0, failed: 0, stoppedByBudget: false };
+    for (const group of stale) {
+      const { videoId, mode } = group.current;
+      try {
+        if (!group.upToDate) {
+          await this.enforceBudget('user');
+          const summary = await this.processVideoSummary(videoId, false, mode === 'extended');
+          if (summary.extractive) {
+            throw new SummaryError('AI provider unavailable', { kind: summary.extractive.reason });
+          }
+          await this.cache.set(group.current, summary);
+        }
+        // One without provenance or from another transcript sat under the current key and was just replaced
+        const replaced = group.outdated.filter(parts => this.cache.key(parts) !== this.cache.key(group.current));
+        await Promise.all(replaced.map(parts => this.cache.delete(parts)));
+        result.regenerated++;
+      } catch (error) {
+        if (SummaryError.from(error).kind === 'budget') {
+          result.stoppedByBudget = true;
+          break;
+        }
+        console.warn(`⚠️ [Background] Could not regenerate ${mode} summary for ${videoId}:`, error.message);
+        result.failed++;
+      }
+    }
+    return result;
+  }
+
+  // { transcript, metadata } from the cache, or fetched now with one watch page
+  // download for both. A transcript the watch page handed over replaces a cached one.
+  async loadTranscript(videoId) {
+    const metadataKey = { type: 'metadata', videoId };
+    const transcriptKey = { type: 'transcript', videoId, language: (await this.getCaptionLanguages())[0] };
+    const [cachedMetadata, cachedTranscript] = await Promise.all([
+      this.cache.get(metadataKey),
+      this.pageTranscripts.has(videoId) ? null : this.cache.get(transcriptKey)
+    ]);
+    if (cachedMetadata && cachedTranscript) {
+      console.log(`💾 [Background] Using cached transcript and metadata for: ${videoId}`);
+      return { transcript: cachedTranscript, metadata: cachedMetadata };
+    }
+
+    const page = cachedMetadata ? null : await this.fetchWatchPage(videoId);
+    const metadata = cachedMetadata || await this.extractVideoMetadata(videoId, page);
+    const transcript = cachedTranscript || await this.testTranscriptExtraction(videoId, page, metadata);
+    if (!cachedMetadata && !metadata.error) {
+      await this.cache.set(metadataKey, metadata);
+    }
+    if (!cachedTranscript && transcript.available) {
+      await this.cache.set(transcriptKey, transcript);
+    }
+    return { transcript, metadata };
+  }
+
+  // Timed segments for the modal's Transcript tab: { available, source, segments, track }
+  async getTranscript(videoId) {
+    const transcript = this.pageTranscripts.get(videoId) || (await this.loadTranscript(videoId)).transcript;
+
+    // A description fallback has no timed lines to show
+    const segments = transcript.available && transcript.source !== 'description' ? transcript.segments || [] : [];
+    return {
+      available: segments.length > 0,
+      source: transcript.source,
+      segments,
+      track: transcript.track || null
+    };
+  }
+
+  // { filename, mimeType, content } for the modal and popup to download
+  async exportTranscript(videoId, format) {
+    const loaded = await this.loadTranscript(videoId);
+    const transcript = this.pageTranscripts.get(videoId) || loaded.transcript;
+    if (!transcript.available || transcript.source === 'description') {
+      throw new SummaryError('No transcript available for this video', { kind: 'no_transcript' });
+    }
+    return this.transcriptExporter.export(transcript, loaded.metadata, format);
+  }
+
   // Method 1: Extract transcript from video page HTML
-  async extractTranscriptFromHTML(videoId) {
+  async extractTranscriptFromHTML(videoId, page = null) {
     console.log('🔍 [Background] Method 1: Extracting transcript from HTML...');
     
     try {
-      const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
-      console.log('🌐 [Background] Fetching video page:', videoUrl);
-      
-      const response = await fetch(videoUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.5',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'DNT': '1',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1'
-        }
-      });
-      
-      if (!response.ok) {
-        console.log('❌ [Background] Failed to fetch video page:', response.status);
+      const { html, status } = page || await this.fetchWatchPage(videoId);
+      if (!html) {
+        console.log('❌ [Background] Failed to fetch video page:', status);
         return { available: false, source: 'html_fetch_failed' };
       }
       
-      const html = await response.text();
-      console.log('📄 [Background] HTML received, length:', html.length);
-      
       // Look for various caption/transcript patterns
       console.log('🔍 [Background] Searching for caption patterns...');
       
-      // Pattern 1: playerCaptionsTracklistRenderer
-      const captionPattern1 = /"playerCaptionsTracklistRenderer":\s*\{[^}]*"captionTracks":\s*\[([^\]]+)\]/;
-      const match1 = html.match(captionPattern1);
-      if (match1) {
-        console.log('✅ [Background] Found playerCaptionsTracklistRenderer pattern');
-        return await this.processCaptionTracks(match1[1], videoId);
+      // Pattern 1: the player's caption track list, tried in the user's preferred order
+      const { playerResponse } = this.watchPage.parse(html);
+      let captionTracks = this.captionTracks.fromRenderer(playerResponse?.captions?.playerCaptionsTracklistRenderer);
+      if (captionTracks.tracks.length === 0) {
+        captionTracks = this.captionTracks.parse(html);
       }
-      
-      // Pattern 2: Direct captionTracks
-      const captionPattern2 = /"captionTracks":\s*\[([^\]]+)\]/;
-      const match2 = html.match(captionPattern2);
-      if (match2) {
-        console.log('✅ [Background] Found direct captionTracks pattern');
-        return await this.processCaptionTracks(match2[1], videoId);
+      if (captionTracks.tracks.length > 0) {
+        console.log(`✅ [Background] Found ${captionTracks.tracks.length} caption tracks`);
+        const languages = await this.getCaptionLanguages();
+        return await this.processCaptionTracks(this.captionTracks.rank(captionTracks, languages), videoId);
       }
       
       // Pattern 3: Look for timedtext URLs
@@ -852,16 +1045,18 @@ Format as JSON:
   async extractTranscriptFromAPI(videoId) {
     console.log('🔍 [Background] Method 2: Trying YouTube API endpoints...');
     
+    // Manual captions in each preferred language, then auto-generated ones
+    const languages = (await this.getCaptionLanguages()).slice(0, 3);
     const apiEndpoints = [
-      `https://www.youtube.com/api/timedtext?v=${videoId}&lang=en&fmt=json3`,
-      `https://www.youtube.com/api/timedtext?v=${videoId}&lang=en&fmt=srv3`,
-      `https://www.youtube.com/api/timedtext?v=${videoId}&lang=en&fmt=ttml`,
-      `https://www.youtube.com/api/timedtext?v=${videoId}&lang=en-US&fmt=json3`,
-      `https://www.youtube.com/api/timedtext?v=${videoId}&lang=en-GB&fmt=json3`
-    ];
+      ...languages.map(language => ({ language, kind: 'manual' })),
+      ...languages.map(language => ({ language, kind: 'asr' }))
+    ].map(({ language, kind }) => ({
+      url: `https://www.youtube.com/api/timedtext?v=${videoId}&lang=${encodeURIComponent(language)}${kind === 'asr' ? '&kind=asr' : ''}&fmt=json3`,
+      track: { languageCode: language, name: language, kind, translatedTo: null, label: kind === 'asr' ? `${language} (auto-generated)` : language }
+    }));
     
     for (let i = 0; i < apiEndpoints.length; i++) {
-      const endpoint = apiEndpoints[i];
+      const { url: endpoint, track } = apiEndpoints[i];
       console.log(`🌐 [Background] Trying API endpoint ${i + 1}:`, endpoint);
       
       try {
@@ -879,16 +1074,18 @@ Format as JSON:
           console.log(`📝 [Background] API endpoint ${i + 1} returned data:`, text.length, 'characters');
           console.log(`📝 [Background] API data preview:`, text.substring(0, 300));
           
-          if (text.length > 100 && !text.includes('error')) {
+          if (text.length > 100) {
             const transcript = this.parseTranscriptData(text, endpoint);
             if (transcript) {
               console.log('✅ [Background] Successfully parsed transcript from API');
               return {
                 available: true,
                 source: `youtube_api_${i + 1}`,
-                text: transcript,
-                length: transcript.length,
-                endpoint: endpoint
+                text: transcript.text,
+                segments: transcript.segments,
+                length: transcript.text.length,
+                endpoint: endpoint,
+                track: track
               };
             }
           }
@@ -902,79 +1099,31 @@ Format as JSON:
     return { available: false, source: 'api_endpoints_failed' };
   }
 
-  // Method 3: Alternative extraction methods
-  async extractTranscriptAlternative(videoId) {
-    console.log('🔍 [Background] Method 3: Trying alternative extraction...');
+  // Helper: Fetch ranked caption tracks ({ url, track }) until one parses
+  async processCaptionTracks(candidates, videoId) {
+    console.log('🔍 [Background] Caption track order:', candidates.map(candidate => candidate.track.label).join(', '));
     
-    try {
-      // Try to get video info from YouTube's oembed
-      console.log('🌐 [Background] Trying oembed endpoint...');
-      const oembedUrl = `https://www.youtube.com/oembed?url=https://www.youtube.com/watch?v=${videoId}&format=json`;
-      const oembedResponse = await fetch(oembedUrl);
-      
-      if (oembedResponse.ok) {
-        const oembedData = await oembedResponse.json();
-        console.log('📊 [Background] Oembed data:', oembedData);
-        
-        // Use video description as fallback transcript
-        if (oembedData.title) {
-          console.log('📝 [Background] Using video title and description as content source');
-          const fallbackContent = `Video Title: ${oembedData.title}\nChannel: ${oembedData.author_name}\n\nThis video appears to be about ${oembedData.title.toLowerCase()}. While we couldn't access the full transcript, we can provide insights based on the video metadata and title.`;
-          
-          return {
-            available: true,
-            source: 'oembed_fallback',
-            text: fallbackContent,
-            length: fallbackContent.length,
-            note: 'Using video metadata as content source'
-          };
-        }
+    // The ranking is bounded, so every candidate is tried: translations and
+    // other languages come after the preferred tracks
+    for (const candidate of candidates) {
+      console.log(`🌐 [Background] Trying caption track: ${candidate.track.label}`);
+      const result = await this.fetchTimedTextURL(candidate.url, videoId);
+      if (result.available) {
+        return { ...result, track: candidate.track };
       }
-      
-      console.log('❌ [Background] Alternative extraction failed');
-      return { available: false, source: 'alternative_failed' };
-      
-    } catch (error) {
-      console.error('❌ [Background] Alternative extraction error:', error);
-      return { available: false, source: 'alternative_error', error: error.message };
     }
+    
+    console.log('❌ [Background] All caption URLs failed');
+    return { available: false, source: 'caption_urls_failed' };
   }
 
-  // Helper: Process caption tracks data
-  async processCaptionTracks(captionTracksData, videoId) {
-    console.log('🔍 [Background] Processing caption tracks data...');
-    console.log('📝 [Background] Caption tracks preview:', captionTracksData.substring(0, 300));
-    
-    try {
-      // Extract baseUrl from caption tracks
-      const baseUrlMatches = captionTracksData.match(/"baseUrl":"([^"]+)"/g);
-      if (!baseUrlMatches) {
-        console.log('❌ [Background] No baseUrl found in caption tracks');
-        return { available: false, source: 'no_base_url' };
-      }
-      
-      console.log('🔗 [Background] Found caption URLs:', baseUrlMatches.length);
-      
-      for (let i = 0; i < Math.min(baseUrlMatches.length, 3); i++) {
-        const urlMatch = baseUrlMatches[i].match(/"baseUrl":"([^"]+)"/);
-        if (urlMatch) {
-          const captionUrl = urlMatch[1].replace(/\\u0026/g, '&').replace(/\\/g, '');
-          console.log(`🌐 [Background] Trying caption URL ${i + 1}:`, captionUrl);
-          
-          const result = await this.fetchTimedTextURL(captionUrl, videoId);
-          if (result.available) {
-            return result;
-          }
-        }
-      }
-      
-      console.log('❌ [Background] All caption URLs failed');
-      return { available: false, source: 'caption_urls_failed' };
-      
-    } catch (error) {
-      console.error('❌ [Background] Error processing caption tracks:', error);
-      return { available: false, source: 'caption_processing_error', error: error.message };
-    }
+  // Preferred caption languages, most preferred first: the user's list from
+  // settings, else the browser language and English
+  async getCaptionLanguages() {
+    const { captionLanguages } = await chrome.storage.sync.get(['captionLanguages']);
+    const configured = (captionLanguages || '').split(/[\s,]+/);
+    const languages = configured.some(Boolean) ? configured : [self.navigator?.language, 'en'];
+    return [...new Set(languages.filter(Boolean).map(language => language.toLowerCase()))];
   }
 
   // Helper: Fetch and parse timedtext URL
@@ -1006,13 +1155,14 @@ Format as JSON:
       }
       
       const transcript = this.parseTranscriptData(text, url);
-      if (transcript && transcript.length > 100) {
+      if (transcript && transcript.text.length > 100) {
         console.log('✅ [Background] Successfully extracted transcript from timedtext');
         return {
           available: true,
           source: 'timedtext',
-          text: transcript,
-          length: transcript.length,
+          text: transcript.text,
+          segments: transcript.segments,
+          length: transcript.text.length,
           url: url
         };
       }
@@ -1026,95 +1176,18 @@ Format as JSON:
     }
   }
 
-  // Helper: Parse different transcript formats
+  // Helper: Parse a caption payload into { text, segments }; null when it isn't one
   parseTranscriptData(data, source) {
     console.log('🔍 [Background] Parsing transcript data from:', source);
     
-    try {
-      // Try JSON format first
-      if (data.trim().startsWith('{') || data.trim().startsWith('[')) {
-        console.log('📊 [Background] Attempting JSON parse...');
-        const jsonData = JSON.parse(data);
-        
-        if (jsonData.events) {
-          // YouTube JSON3 format
-          const transcript = jsonData.events
-            .filter(event => event.segs)
-            .map(event => event.segs.map(seg => seg.utf8).join(''))
-            .join(' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-          
-          console.log('✅ [Background] Parsed JSON3 format transcript:', transcript.length, 'characters');
-          return transcript;
-        }
-        
-        if (Array.isArray(jsonData)) {
-          // Array format
-          const transcript = jsonData
-            .map(item => item.text || item.content || '')
-            .join(' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-          
-          console.log('✅ [Background] Parsed array format transcript:', transcript.length, 'characters');
-          return transcript;
-        }
-      }
-      
-      // Try XML/TTML format
-      if (data.includes('<text') || data.includes('<p>')) {
-        console.log('📊 [Background] Attempting XML/TTML parse...');
-        const textMatches = data.match(/<text[^>]*>([^<]+)<\/text>/g) || 
-                           data.match(/<p[^>]*>([^<]+)<\/p>/g);
-        
-        if (textMatches) {
-          const transcript = textMatches
-            .map(match => match.replace(/<[^>]+>/g, ''))
-            .join(' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-          
-          console.log('✅ [Background] Parsed XML/TTML format transcript:', transcript.length, 'characters');
-          return transcript;
-        }
-      }
-      
-      // Try plain text with timestamps
-      if (data.includes('-->') || /\d+:\d+/.test(data)) {
-        console.log('📊 [Background] Attempting SRT/VTT parse...');
-        const lines = data.split('\n');
-        const transcript = lines
-          .filter(line => !line.match(/^\d+$/) && !line.includes('-->') && line.trim())
-          .join(' ')
-          .replace(/\s+/g, ' ')
-          .trim();
-        
-        if (transcript.length > 50) {
-          console.log('✅ [Background] Parsed SRT/VTT format transcript:', transcript.length, 'characters');
-          return transcript;
-        }
-      }
-      
-      // If all else fails, try to clean the raw data
-      const cleanedData = data
-        .replace(/<[^>]+>/g, ' ')
-        .replace(/[{}[\]"]/g, ' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-      
-      if (cleanedData.length > 100) {
-        console.log('✅ [Background] Using cleaned raw data as transcript:', cleanedData.length, 'characters');
-        return cleanedData;
-      }
-      
-      console.log('❌ [Background] Could not parse transcript data');
-      return null;
-      
-    } catch (error) {
-      console.error('❌ [Background] Transcript parsing error:', error);
+    const parsed = this.transcriptParser.parse(data);
+    if (!parsed) {
+      console.log('❌ [Background] Response is not a caption document');
       return null;
     }
+    
+    console.log(`✅ [Background] Parsed ${parsed.format} transcript: ${parsed.segments.length} segments, ${parsed.text.length} characters`);
+    return { text: parsed.text, segments: parsed.segments };
   }
 }
 
@@ -0,0 +1,170 @@
+// Cleans transcripts before they are sent to the model: non-speech tags go,
+// overlapping auto-caption lines are merged, stutters and repeated phrases are
+// collapsed and unpunctuated captions get basic sentence breaks. Timings are
+// kept; the Transcript tab and exports still use the transcript as fetched.
+
+// Bracketed captions are never speech; parenthesized ones only when they name a sound
+const NON_SPEECH_TAG = /\[[^\]]{0,40}\]|\((?:music|applause|laughter|laughs|laughing|cheering|cheers|inaudible|silence|static|crosstalk|coughs?|sighs?|no audio|background noise)[^)]{0,20}\)|[♪♫]+|>>+/gi;
+
+const CLEANUP_DEFAULTS = {
+  cleanupNonSpeech: true,
+  cleanupOverlaps: true,
+  cleanupRepeats: true,
+  cleanupSentences: true
+};
+
+const CLEANUP_MAX_PHRASE_WORDS = 6; // Longest repeated phrase collapsed ("you know you know"); the shortest is two words
+const SENTENCE_PAUSE_SECONDS = 0.8; // A gap this long between caption lines ends a sentence
+const SENTENCE_MAX_WORDS = 30;
+
+class TranscriptCleaner {
+  // Returns { transcript, stats }; transcript keeps its other fields (source, track, ...)
+  clean(transcript, options = CLEANUP_DEFAULTS) {
+    const stats = { removedTags: 0, mergedWords: 0, collapsedWords: 0, sentenceBreaks: 0 };
+    let segments = transcript.segments?.length > 0
+      ? transcript.segments.map(segment => ({ ...segment }))
+      : [{ start: 0, duration: 0, text: transcript.text || '' }];
+
+    if (options.cleanupNonSpeech) segments = this.stripNonSpeech(segments, stats);
+    if (options.cleanupOverlaps) segments = this.mergeOverlaps(segments, stats);
+    if (options.cleanupRepeats) segments = this.collapseRepeats(segments, stats);
+    if (options.cleanupSentences && transcript.segments?.length > 0) segments = this.segmentSentences(segments, stats);
+
+    segments = segments.filter(segment => segment.text);
+    const text = segments.map(segment => segment.text).join(' ');
+    const tokensBefore = Math.ceil((transcript.text || '').length / CHARS_PER_TOKEN);
+    const tokensAfter = Math.ceil(text.length / CHARS_PER_TOKEN);
+
+    return {
+      transcript: {
+        ...transcript,
+        text,
+        segments: transcript.segments?.length > 0 ? segments : [],
+        length: text.length
+      },
+      stats: { ...stats, tokensBefore, tokensAfter, tokensSaved: Math.max(0, tokensBefore - tokensAfter) }
+    };
+  }
+
+  stripNonSpeech(segments, stats) {
+    return segments.map(segment => ({
+      ...segment,
+      text: segment.text
+        .replace(NON_SPEECH_TAG, () => {
+          stats.removedTags++;
+          return ' ';
+        })
+        .replace(/\s+/g, ' ')
+        .trim()
+    }));
+  }
+
+  // Rolling auto-captions repeat the end of one line at the start of the next
+  mergeOverlaps(segments, stats) {
+    const merged = [];
+    for (const segment of segments) {
+      const previous = merged[merged.length - 1];
+      if (!previous) {
+        merged.push(segment);
+        continue;
+      }
+
+      const previousWords = this.normalizedWords(previous.text);
+      const words = segment.text.split(' ');
+      const normalized = this.normalizedWords(segment.text);
+      let overlap = 0;
+      for (let size = Math.min(previousWords.length, normalized.length); size >= 2; size--) {
+        if (previousWords.slice(-size).join(' ') === normalized.slice(0, size).join(' ')) {
+          overlap = size;
+          break;
+        }
+      }
+
+      stats.mergedWords += overlap;
+      const text = words.slice(overlap).join(' ');
+      if (text) {
+        merged.push({ ...segment, text });
+      } else {
+        // Fully repeated line: extend the previous one over its time instead
+        previous.duration = Math.max(previous.duration, segment.start + segment.duration - previous.start);
+      }
+    }
+    return merged;
+  }
+
+  // "I think I think" -> one copy, within and across caption lines. A repeated
+  // single word is real speech within a line ("had had", "no no no") and is only
+  // collapsed across a line boundary, where it comes from overlapping captions.
+  collapseRepeats(segments, stats) {
+    const words = segments.flatMap((segment, index) =>
+      segment.text.split(' ').filter(Boolean).map(word => ({ word, key: this.normalizeWord(word), index }))
+    );
+
+    for (let size = CLEANUP_MAX_PHRASE_WORDS; size >= 2; size--) {
+      for (let i = 0; i + size * 2 <= words.length; i++) {
+        while (i + size * 2 <= words.length && this.samePhrase(words, i, i + size, size)) {
+          words.splice(i + size, size);
+          stats.collapsedWords += size;
+        }
+      }
+    }
+    for (let i = 0; i + 1 < words.length; i++) {
+      if (words[i].index !== words[i + 1].index && this.samePhrase(words, i, i + 1, 1)) {
+        words.splice(i + 1, 1);
+        stats.collapsedWords++;
+        i--;
+      }
+    }
+
+    const texts = segments.map(() => []);
+    words.forEach(({ word, index }) => texts[index].push(word));
+    return segments.map((segment, index) => ({ ...segment, text: texts[index].join(' ') }));
+  }
+
+  samePhrase(words, first, second, size) {
+    for (let offset = 0; offset < size; offset++) {
+      const key = words[first + offset].key;
+      if (!key || key !== words[second + offset].key) return false;
+    }
+    return true;
+  }
+
+  // Unpunctuated captions get a full stop at pauses and every SENTENCE_MAX_WORDS
+  // words or so; captions that already have punctuation are left alone
+  segmentSentences(segments, stats) {
+    const text = segments.map(segment => segment.text).join(' ');
+    const wordCount = text.split(' ').length;
+    const stops = (text.match(/[.!?](\s|$)/g) || []).length;
+    if (stops >= wordCount / 40) return segments;
+
+    let wordsSinceBreak = 0;
+    let capitalizeNext = true;
+    return segments.map((segment, index) => {
+      let sentence = segment.text.replace(/\bi\b/g, 'I');
+      if (capitalizeNext && sentence) {
+        sentence = sentence.charAt(0).toUpperCase() + sentence.slice(1);
+      }
+      wordsSinceBreak += sentence.split(' ').length;
+
+      const next = segments[index + 1];
+      const gap = next ? next.start - (segment.start + segment.duration) : Infinity;
+      capitalizeNext = gap >= SENTENCE_PAUSE_SECONDS || wordsSinceBreak >= SENTENCE_MAX_WORDS;
+      if (capitalizeNext && sentence && !/[.!?,;:]$/.test(sentence)) {
+        sentence += '.';
+        stats.sentenceBreaks++;
+      }
+      if (capitalizeNext) wordsSinceBreak = 0;
+      return { ...segment, text: sentence };
+    });
+  }
+
+  normalizedWords(text) {
+    return text.split(' ').map(word => this.normalizeWord(word));
+  }
+
+  normalizeWord(word) {
+    return word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+  }
+}
+
+self.TranscriptCleaner = TranscriptCleaner;
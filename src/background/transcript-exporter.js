@@ -0,0 +1,147 @@
+// Renders a fetched transcript as a downloadable SRT, WebVTT, plain-text or
+// Markdown file, each starting with the video's metadata
+const EXPORT_FORMATS = {
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+  txt: { extension: 'txt', mimeType: 'text/plain' },
+  md: { extension: 'md', mimeType: 'text/markdown' }
+};
+const EXPORT_PARAGRAPH_SECONDS = 60; // Markdown groups lines into paragraphs of about this length
+
+class TranscriptExporter {
+  // { filename, mimeType, content }; transcript is the pipeline's { text, segments, track }
+  export(transcript, metadata, format) {
+    const config = EXPORT_FORMATS[format];
+    if (!config) {
+      throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const segments = this.getSegments(transcript, metadata);
+    const content = {
+      srt: () => this.toSRT(segments, metadata, transcript),
+      vtt: () => this.toVTT(segments, metadata, transcript),
+      txt: () => this.toText(segments, metadata, transcript),
+      md: () => this.toMarkdown(segments, metadata, transcript)
+    }[format]();
+
+    return {
+      filename: `${this.slug(metadata.title)}-${metadata.videoId}.${config.extension}`,
+      mimeType: `${config.mimeType};charset=utf-8`,
+      content
+    };
+  }
+
+  // Untimed transcripts become one segment spanning the video
+  getSegments(transcript, metadata) {
+    if (transcript.segments?.length > 0) return transcript.segments;
+    return [{ start: 0, duration: metadata.lengthSeconds || 0, text: transcript.text, untimed: true }];
+  }
+
+  // [label, value] pairs shown at the top of every format
+  headerFields(metadata, transcript) {
+    return [
+      ['Title', metadata.title],
+      ['Channel', metadata.channel],
+      ['URL', `https://www.youtube.com/watch?v=${metadata.videoId}`],
+      ['Duration', metadata.duration],
+      ['Published', metadata.uploadDate],
+      ['Captions', transcript.track?.label],
+      ['Exported', new Date().toISOString()]
+    ].filter(([, value]) => value && !/not found|^unknown$/i.test(value));
+  }
+
+  // SRT has no comment syntax, so the header is a zero-length first cue players never show
+  toSRT(segments, metadata, transcript) {
+    const header = this.headerFields(metadata, transcript).map(([label, value]) => `${label}: ${value}`);
+    const cues = [`0\n00:00:00,000 --> 00:00:00,000\n${header.join('\n')}`];
+    segments.forEach((segment, index) => {
+      cues.push(`${index + 1}\n${this.cueTime(segment.start, ',')} --> ${this.cueTime(this.segmentEnd(segments, index), ',')}\n${segment.text}`);
+    });
+    return `${cues.join('\n\n')}\n`;
+  }
+
+  toVTT(segments, metadata, transcript) {
+    const header = this.headerFields(metadata, transcript).map(([label, value]) => `${label}: ${value.replace(/-->/g, '->')}`);
+    const cues = segments.map((segment, index) => {
+      const voice = segment.speaker ? `<v ${this.escapeVTT(segment.speaker)}>` : '';
+      return `${this.cueTime(segment.start, '.')} --> ${this.cueTime(this.segmentEnd(segments, index), '.')}\n${voice}${this.escapeVTT(segment.text)}`;
+    });
+    return `WEBVTT\n\nNOTE\n${header.join('\n')}\n\n${cues.join('\n\n')}\n`;
+  }
+
+  toText(segments, metadata, transcript) {
+    const header = this.headerFields(metadata, transcript).map(([label, value]) => `${label}: ${value}`);
+    const lines = segments.map(segment => (segment.untimed
+      ? segment.text
+      : `[${TranscriptChunker.formatTimestamp(segment.start)}] ${this.withSpeaker(segment)}`));
+    return `${header.join('\n')}\n\n${lines.join('\n')}\n`;
+  }
+
+  // Paragraphs open with a timestamp linking to that moment of the video
+  toMarkdown(segments, metadata, transcript) {
+    const fields = this.headerFields(metadata, transcript).filter(([label]) => label !== 'Title');
+    const header = [
+      `# ${metadata.title || metadata.videoId}`,
+      '',
+      ...fields.map(([label, value]) => `- **${label}:** ${label === 'URL' ? `<${value}>` : value}`)
+    ];
+
+    const paragraphs = [];
+    let current = null;
+    for (const segment of segments) {
+      if (!current || segment.start >= current.start + EXPORT_PARAGRAPH_SECONDS || segment.speaker !== current.speaker) {
+        current = { start: segment.start, speaker: segment.speaker, untimed: segment.untimed, texts: [] };
+        paragraphs.push(current);
+      }
+      current.texts.push(segment.text);
+    }
+
+    const body = paragraphs.map(paragraph => {
+      const text = paragraph.texts.join(' ');
+      if (paragraph.untimed) return text;
+      const seconds = Math.floor(paragraph.start);
+      const link = `[${TranscriptChunker.formatTimestamp(paragraph.start)}](https://www.youtube.com/watch?v=${metadata.videoId}&t=${seconds}s)`;
+      return `${link} ${paragraph.speaker ? `**${paragraph.speaker}:** ` : ''}${text}`;
+    });
+    return `${header.join('\n')}\n\n## Transcript\n\n${body.join('\n\n')}\n`;
+  }
+
+  // Cues end where they say, or where the next one starts when no duration was given
+  segmentEnd(segments, index) {
+    const segment = segments[index];
+    if (segment.duration > 0) return segment.start + segment.duration;
+    return segments[index + 1]?.start ?? segment.start + 2;
+  }
+
+  // "00:01:02,500" (SRT) or "00:01:02.500" (WebVTT)
+  cueTime(seconds, separator) {
+    const milliseconds = Math.round(seconds * 1000);
+    const hours = Math.floor(milliseconds / 3600000);
+    const minutes = Math.floor((milliseconds % 3600000) / 60000);
+    const secs = Math.floor((milliseconds % 60000) / 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(milliseconds % 1000, 3)}`;
+  }
+
+  // Cue text is markup in WebVTT
+  escapeVTT(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  withSpeaker(segment) {
+    return segment.speaker ? `${segment.speaker}: ${segment.text}` : segment.text;
+  }
+
+  slug(title) {
+    const slug = (title || 'transcript')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-zA-Z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60)
+      .toLowerCase();
+    return slug || 'transcript';
+  }
+}
+
+self.TranscriptExporter = TranscriptExporter;
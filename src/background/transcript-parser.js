@@ -0,0 +1,207 @@
+// Parses caption payloads (json3, srv1/srv3 XML, TTML, WebVTT/SRT) into timed
+// segments. Times are in seconds; speaker is set only when the format names one.
+// Anything that is not a caption document (HTML pages, error JSON, ...) is
+// rejected with null rather than passed on as transcript text.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+// Tags and VTT inline timestamps ("<00:00:01.500>"); "a < b" in a cue is kept
+const MARKUP_TAG = /<\/?[a-zA-Z][^<>]*>|<\d+(?::\d+)+\.\d+>/g;
+
+class TranscriptParser {
+  // Returns { format, text, segments: [{ start, duration, text, speaker }] } or null
+  parse(data) {
+    const trimmed = (data || '').replace(/^\uFEFF/, '').trim();
+    let result = null;
+
+    if (/^(<!doctype html|<html)/i.test(trimmed)) {
+      return null; // Consent, login or error pages
+    }
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      result = this.parseJSON(trimmed);
+    } else if (trimmed.startsWith('WEBVTT')) {
+      result = { format: 'vtt', segments: this.parseCues(trimmed) };
+    } else if (/^(\d+\s*\n)?[\d:,.]+\s*-->/.test(trimmed)) {
+      result = { format: 'srt', segments: this.parseCues(trimmed) };
+    } else if (trimmed.startsWith('<')) {
+      result = this.parseXML(trimmed);
+    }
+
+    if (!result || result.segments.length === 0) return null;
+    return {
+      format: result.format,
+      text: result.segments.map(segment => segment.text).join(' '),
+      segments: result.segments
+    };
+  }
+
+  parseJSON(data) {
+    let json;
+    try {
+      json = JSON.parse(data);
+    } catch (error) {
+      return null;
+    }
+
+    // YouTube json3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+    if (Array.isArray(json?.events)) {
+      const segments = json.events
+        .filter(event => Array.isArray(event.segs))
+        .map(event => this.segment(
+          (event.tStartMs || 0) / 1000,
+          (event.dDurationMs || 0) / 1000,
+          event.segs.map(seg => seg.utf8 || '').join(''),
+          null,
+          { raw: false }
+        ));
+      return { format: 'json3', segments: segments.filter(Boolean) };
+    }
+
+    // Generic arrays of { text, start|offset, duration|dur }; other arrays aren't captions
+    if (Array.isArray(json) && json.every(item => item && typeof (item.text ?? item.content) === 'string')) {
+      const segments = json.map(item => this.segment(
+        parseFloat(item.start ?? item.offset ?? 0) || 0,
+        parseFloat(item.duration ?? item.dur ?? 0) || 0,
+        item.text ?? item.content,
+        item.speaker
+      ));
+      return { format: 'json', segments: segments.filter(Boolean) };
+    }
+    return null;
+  }
+
+  // srv1 <text start dur>, srv3 <p t d> (milliseconds) and TTML <p begin end|dur>
+  parseXML(data) {
+    if (/<tt[\s>]/.test(data)) {
+      return { format: 'ttml', segments: this.parseTTML(data) };
+    }
+
+    const segments = [];
+    let format = null;
+    for (const match of data.matchAll(/<(text|p)\b([^>]*)>([\s\S]*?)<\/\1>/g)) {
+      const attributes = this.parseAttributes(match[2]);
+      let segment;
+      if (match[1] === 'text' && attributes.start !== undefined) {
+        format = 'srv1';
+        segment = this.segment(parseFloat(attributes.start) || 0, parseFloat(attributes.dur) || 0, match[3]);
+      } else if (match[1] === 'p' && attributes.t !== undefined) {
+        format = 'srv3';
+        segment = this.segment((parseFloat(attributes.t) || 0) / 1000, (parseFloat(attributes.d) || 0) / 1000, match[3]);
+      }
+      if (segment) segments.push(segment);
+    }
+    return { format, segments };
+  }
+
+  parseTTML(data) {
+    // Tick-based times ("12345t") need the document's tick rate
+    const root = this.parseAttributes(data.match(/<tt\b([^>]*)>/)?.[1] || '');
+    const tickRate = parseFloat(root['ttp:tickRate']) || 10000000;
+    const body = data.substring(data.search(/<body[\s>]/));
+
+    const segments = [];
+    for (const match of body.matchAll(/<p\b([^>]*)>([\s\S]*?)<\/p>/g)) {
+      const attributes = this.parseAttributes(match[1]);
+      const start = this.parseTime(attributes.begin, tickRate);
+      const duration = attributes.dur !== undefined
+        ? this.parseTime(attributes.dur, tickRate)
+        : Math.max(0, this.parseTime(attributes.end, tickRate) - start);
+      const segment = this.segment(start, duration, match[2], attributes['ttm:agent']);
+      if (segment) segments.push(segment);
+    }
+    return segments;
+  }
+
+  // WebVTT and SRT: blank-line separated cues with a "start --> end" line.
+  // YouTube's auto-generated VTT repeats the previous line at the top of each
+  // cue so captions roll; those repeats are dropped.
+  parseCues(data) {
+    const segments = [];
+    let previousLine = '';
+
+    for (const block of data.replace(/\r\n?/g, '\n').split(/\n\s*\n/)) {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      if (timingIndex === -1) continue; // Header, NOTE, STYLE and REGION blocks
+
+      const [begin, end] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+      const start = this.parseTime(begin);
+      const duration = Math.max(0, this.parseTime(end) - start);
+      const speaker = lines.slice(timingIndex + 1).join(' ').match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/)?.[1];
+
+      const cueLines = lines.slice(timingIndex + 1)
+        .map(line => this.cleanText(line))
+        .filter(Boolean);
+      const newLines = cueLines.filter((line, index) => !(index === 0 && line === previousLine));
+      if (cueLines.length > 0) {
+        previousLine = cueLines[cueLines.length - 1];
+      }
+
+      const segment = this.segment(start, duration, newLines.join(' '), speaker, { raw: false });
+      if (segment) segments.push(segment);
+    }
+    return segments;
+  }
+
+  parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attributes[match[1]] = match[2] ?? match[3];
+    }
+    return attributes;
+  }
+
+  // Clock times ("01:02:03.500", "00:01,500"), TTML offsets ("62.5s", "62500ms") and ticks
+  parseTime(value, tickRate = 10000000) {
+    if (!value) return 0;
+    const offset = value.trim().match(/^([\d.]+)(h|m|s|ms|t)$/);
+    if (offset) {
+      const scale = { h: 3600, m: 60, s: 1, ms: 0.001, t: 1 / tickRate }[offset[2]];
+      return parseFloat(offset[1]) * scale;
+    }
+    return value.replace(',', '.').split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+  }
+
+  // Markup to plain text: line breaks become spaces, styling tags go, entities
+  // are decoded. srv1 encodes its <font> tags, so tags are stripped again after
+  // decoding; decoding twice handles double-escaped text like "&amp;#39;".
+  cleanText(text) {
+    const withoutTags = text
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(MARKUP_TAG, '');
+    return this.decodeEntities(this.decodeEntities(withoutTags).replace(MARKUP_TAG, ''))
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const codePoint = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+      }
+      return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+  }
+
+  // Text is treated as markup unless `raw` is false (cleaned VTT lines, plain json3 text)
+  segment(start, duration, text, speaker, { raw = true } = {}) {
+    const cleaned = raw ? this.cleanText(text) : text.replace(/\s+/g, ' ').trim();
+    if (!cleaned) return null;
+    const segment = {
+      start: Math.round(start * 1000) / 1000,
+      duration: Math.round(duration * 1000) / 1000,
+      text: cleaned
+    };
+    if (speaker) {
+      segment.speaker = this.decodeEntities(speaker.trim());
+    }
+    return segment;
+  }
+}
+
+self.TranscriptParser = TranscriptParser;
@@ -0,0 +1,151 @@
+// Token usage and estimated cost of every AI request, aggregated per day in
+// chrome.storage.local, and the budget caps checked before new summaries
+const USAGE_STORAGE_KEY = 'usageLedger';
+const USAGE_RETENTION_DAYS = 62; // Covers this and last month
+const USAGE_RECENT_REQUESTS = 200;
+
+// USD per million tokens as [input, output]. Versioned ids ("gpt-4o-2024-08-06")
+// use the longest matching prefix; self-hosted and unknown models are unpriced.
+const MODEL_PRICING = {
+  'gpt-4o-mini': [0.15, 0.60],
+  'gpt-4o': [2.50, 10.00],
+  'claude-haiku-4-5': [1.00, 5.00],
+  'claude-sonnet-4-5': [3.00, 15.00],
+  'gemini-2.5-flash-lite': [0.10, 0.40],
+  'gemini-2.5-flash': [0.30, 2.50],
+  'gemini-2.5-pro': [1.25, 10.00]
+};
+
+class UsageLedger {
+  constructor() {
+    this.writeQueue = Promise.resolve();
+  }
+
+  static estimateCost(provider, model, usage) {
+    const prefix = provider === 'custom' ? null : Object.keys(MODEL_PRICING)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    if (!prefix) {
+      return { cost: 0, priced: false };
+    }
+
+    const [inputPrice, outputPrice] = MODEL_PRICING[prefix];
+    const cost = (usage.promptTokens * inputPrice + usage.completionTokens * outputPrice) / 1000000;
+    return { cost, priced: true };
+  }
+
+  // Local-time calendar day, e.g. "2025-03-09"
+  static dayKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  // usage is the adapters' { promptTokens, completionTokens, totalTokens }
+  record({ provider, model, mode, usage }) {
+    const { cost, priced } = UsageLedger.estimateCost(provider, model, usage);
+    const entry = {
+      at: new Date().toISOString(),
+      provider,
+      model,
+      mode,
+      promptTokens: usage.promptTokens,
+      completionTokens: usage.completionTokens,
+      totalTokens: usage.totalTokens || usage.promptTokens + usage.completionTokens,
+      cost,
+      priced
+    };
+
+    // Serialize writes so concurrent map-reduce requests don't overwrite each other
+    this.writeQueue = this.writeQueue
+      .then(async () => {
+        const ledger = await this.getLedger();
+        const dayKey = UsageLedger.dayKey();
+        const day = ledger.days[dayKey] || this.createBucket();
+        this.addToBucket(day, entry);
+        day.byModel[model] = this.addToBucket(day.byModel[model] || this.createTotals(), entry);
+        day.byMode[mode] = this.addToBucket(day.byMode[mode] || this.createTotals(), entry);
+        ledger.days[dayKey] = day;
+
+        ledger.recent = [entry, ...ledger.recent].slice(0, USAGE_RECENT_REQUESTS);
+        this.pruneDays(ledger);
+        await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: ledger });
+      })
+      .catch(error => console.error('❌ [Usage] Failed to record usage:', error));
+    return this.writeQueue;
+  }
+
+  createTotals() {
+    return { requests: 0, unpricedRequests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+  }
+
+  createBucket() {
+    return { ...this.createTotals(), byModel: {}, byMode: {} };
+  }
+
+  addToBucket(bucket, entry) {
+    bucket.requests += entry.requests || 1;
+    bucket.unpricedRequests += entry.unpricedRequests ?? (entry.priced ? 0 : 1);
+    bucket.promptTokens += entry.promptTokens;
+    bucket.completionTokens += entry.completionTokens;
+    bucket.totalTokens += entry.totalTokens;
+    bucket.cost += entry.cost;
+    return bucket;
+  }
+
+  pruneDays(ledger) {
+    const cutoff = UsageLedger.dayKey(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    Object.keys(ledger.days)
+      .filter(dayKey => dayKey < cutoff)
+      .forEach(dayKey => delete ledger.days[dayKey]);
+  }
+
+  async getLedger() {
+    const data = await chrome.storage.local.get([USAGE_STORAGE_KEY]);
+    return data[USAGE_STORAGE_KEY] || { days: {}, recent: [] };
+  }
+
+  // { today, month } buckets (totals plus byModel/byMode breakdowns) in local time
+  async getSummary() {
+    await this.writeQueue;
+    const ledger = await this.getLedger();
+    const todayKey = UsageLedger.dayKey();
+    const monthPrefix = todayKey.substring(0, 8);
+
+    const month = this.createBucket();
+    for (const [dayKey, day] of Object.entries(ledger.days)) {
+      if (!dayKey.startsWith(monthPrefix)) continue;
+      this.addToBucket(month, day);
+      for (const [model, totals] of Object.entries(day.byModel)) {
+        month.byModel[model] = this.addToBucket(month.byModel[model] || this.createTotals(), totals);
+      }
+      for (const [mode, totals] of Object.entries(day.byMode)) {
+        month.byMode[mode] = this.addToBucket(month.byMode[mode] || this.createTotals(), totals);
+      }
+    }
+
+    return { today: ledger.days[todayKey] || this.createBucket(), month };
+  }
+
+  // Caps are in USD; 0 means no cap. exceeded is null, 'daily' or 'monthly'.
+  async getBudgetStatus({ budgetDaily = 0, budgetMonthly = 0, budgetAction = 'preload' }) {
+    const { today, month } = await this.getSummary();
+    let exceeded = null;
+    if (budgetDaily > 0 && today.cost >= budgetDaily) {
+      exceeded = 'daily';
+    } else if (budgetMonthly > 0 && month.cost >= budgetMonthly) {
+      exceeded = 'monthly';
+    }
+
+    return {
+      daily: budgetDaily,
+      monthly: budgetMonthly,
+      action: budgetAction,
+      exceeded,
+      todayCost: today.cost,
+      monthCost: month.cost
+    };
+  }
+}
+
+self.UsageLedger = UsageLedger;
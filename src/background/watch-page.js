@@ -0,0 +1,149 @@
+// Reads the structured data YouTube embeds in the watch page: the player response
+// (video details, microformat, captions) and the initial page data (chapters).
+// Values are located by variable name and JSON-parsed with a bracket scanner, so
+// nested arrays and strings containing brackets don't break them.
+class WatchPageParser {
+  // { playerResponse, initialData }; either is null when missing or unparsable
+  parse(html) {
+    return {
+      playerResponse: this.extractVariable(html, 'ytInitialPlayerResponse'),
+      initialData: this.extractVariable(html, 'ytInitialData')
+    };
+  }
+
+  // `var ytInitialData = {...}`, `window["ytInitialData"] = {...}` and plain assignments
+  extractVariable(html, name) {
+    const pattern = new RegExp(`(?:\\bvar\\s+|\\bwindow\\[["'])?\\b${name}(?:["']\\])?\\s*=\\s*\\{`, 'g');
+    for (const match of html.matchAll(pattern)) {
+      const value = WatchPageParser.readJSON(html, match.index + match[0].length - 1);
+      if (value) return value;
+    }
+    return null;
+  }
+
+  // Raw values from the player response; null when the page has none. Views and
+  // lengthSeconds are numbers, uploadDate is "YYYY-MM-DD", chapters are [{ title, start }]
+  // from the chapter markers or, failing those, the description's timestamp lines.
+  metadata({ playerResponse, initialData }) {
+    const details = playerResponse?.videoDetails;
+    if (!details) return null;
+    const microformat = playerResponse.microformat?.playerMicroformatRenderer || {};
+
+    const viewCount = parseInt(details.viewCount ?? microformat.viewCount, 10);
+    const lengthSeconds = parseInt(details.lengthSeconds ?? microformat.lengthSeconds, 10);
+    const publishDate = microformat.publishDate || microformat.uploadDate || '';
+    const description = details.shortDescription || WatchPageParser.readText(microformat.description);
+    const chapters = this.chapters(initialData);
+    return {
+      title: details.title || WatchPageParser.readText(microformat.title),
+      channel: details.author || microformat.ownerChannelName || '',
+      channelId: details.channelId || microformat.externalChannelId || '',
+      viewCount: isNaN(viewCount) ? null : viewCount,
+      lengthSeconds: isNaN(lengthSeconds) ? null : lengthSeconds,
+      uploadDate: publishDate.substring(0, 10),
+      category: microformat.category || '',
+      isLive: Boolean(details.isLiveContent && details.isLive),
+      description,
+      chapters: chapters.length > 0 ? chapters : this.descriptionChapters(description),
+      pinnedComment: this.pinnedComment(initialData)
+    };
+  }
+
+  // The player bar's chapter markers, or the chapters panel when the bar has none
+  chapters(initialData) {
+    const markersMap = initialData?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+      ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer?.markersMap || [];
+    const markers = markersMap.find(marker => Array.isArray(marker.value?.chapters))?.value.chapters || [];
+    const chapters = markers
+      .map(marker => marker.chapterRenderer)
+      .filter(Boolean)
+      .map(chapter => ({
+        title: WatchPageParser.readText(chapter.title),
+        start: (chapter.timeRangeStartMillis || 0) / 1000
+      }));
+    if (chapters.length > 0) return chapters.filter(chapter => chapter.title);
+
+    const panel = (initialData?.engagementPanels || [])
+      .map(panel => panel.engagementPanelSectionListRenderer)
+      .find(panel => /chapters/.test(panel?.panelIdentifier || '') && panel.content?.macroMarkersListRenderer);
+    return (panel?.content.macroMarkersListRenderer.contents || [])
+      .map(item => item.macroMarkersListItemRenderer)
+      .filter(Boolean)
+      .map(item => ({
+        title: WatchPageParser.readText(item.title),
+        start: item.onTap?.watchEndpoint?.startTimeSeconds || 0
+      }))
+      .filter(chapter => chapter.title);
+  }
+
+  // Timestamp lines such as "0:00 Intro" or "(12:30) - Q&A"; YouTube only turns
+  // them into chapters when there are at least two, so neither does this
+  descriptionChapters(description) {
+    const chapters = [];
+    for (const line of (description || '').split('\n')) {
+      const match = line.match(/^\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:|.]?\s*(.+?)\s*$/);
+      if (match) {
+        const start = match[1].split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0);
+        chapters.push({ title: match[2], start });
+      }
+    }
+    const ascending = chapters.every((chapter, index) => index === 0 || chapter.start > chapters[index - 1].start);
+    return chapters.length >= 2 && ascending ? chapters : [];
+  }
+
+  // Comments load after the page, so the pinned one is only present when YouTube inlined it
+  pinnedComment(initialData) {
+    const stack = initialData ? [initialData] : [];
+    let visited = 0;
+    while (stack.length > 0 && visited++ < 200000) {
+      const node = stack.pop();
+      if (node.commentRenderer?.pinnedCommentBadge) {
+        return WatchPageParser.readText(node.commentRenderer.contentText);
+      }
+      for (const value of Object.values(node)) {
+        if (value && typeof value === 'object') stack.push(value);
+      }
+    }
+    return '';
+  }
+
+  // YouTube text objects are { simpleText } or { runs: [{ text }] }
+  static readText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    if (value.simpleText) return value.simpleText;
+    return Array.isArray(value.runs) ? value.runs.map(run => run.text).join('') : '';
+  }
+
+  // Parse the JSON object or array starting at source[start]; null if unbalanced or invalid
+  static readJSON(source, start) {
+    const open = source[start];
+    if (open !== '{' && open !== '[') return null;
+
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) {
+          try {
+            return JSON.parse(source.slice(start, i + 1));
+          } catch (error) {
+            return null;
+          }
+        }
+      }
+    }
+    return null;
+  }
+}
+
+self.WatchPageParser = WatchPageParser;
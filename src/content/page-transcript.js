@@ -0,0 +1,116 @@
+// In-page transcript extraction for the video being watched. The content script
+// fetches captions as youtube.com itself, so it gets past the consent pages and
+// blocks that background fetches run into. Found segments are handed to the
+// background, which uses them before its network methods.
+const PAGE_TRANSCRIPT_PANEL_TIMEOUT = 5000;
+
+class PageTranscriptExtractor {
+  constructor() {
+    this.abortController = new AbortController();
+  }
+
+  // Caption tracks from the player response first, then an open "Show transcript" panel
+  async extract(videoId) {
+    console.log('📝 [Page Transcript] Extracting transcript for:', videoId);
+
+    try {
+      const transcript = await this.extractFromCaptionTracks(videoId) || await this.extractFromPanel();
+      if (this.abortController.signal.aborted) return null;
+      if (!transcript) {
+        console.log('⚠️ [Page Transcript] No transcript found in page');
+        return null;
+      }
+
+      console.log(`✅ [Page Transcript] ${transcript.segments.length} segments from ${transcript.source}`);
+      await chrome.runtime.sendMessage({ action: 'providePageTranscript', videoId, transcript });
+      return transcript;
+    } catch (error) {
+      if (!this.abortController.signal.aborted) {
+        console.error('❌ [Page Transcript] Extraction failed:', error);
+      }
+      return null;
+    }
+  }
+
+  // The background reads the player's track list (content scripts can't see page
+  // globals) and ranks it by the user's language preference
+  async extractFromCaptionTracks(videoId) {
+    const response = await chrome.runtime.sendMessage({ action: 'getPageCaptionTracks', videoId });
+    const candidates = response?.success ? response.data : [];
+
+    // In ranked order, down to translations and other languages
+    for (const candidate of candidates) {
+      const url = new URL(candidate.url);
+      url.searchParams.set('fmt', 'json3');
+      const captionResponse = await fetch(url, { credentials: 'include', signal: this.abortController.signal });
+      if (!captionResponse.ok) continue;
+
+      const segments = this.parseJSON3(await captionResponse.text());
+      if (segments.length > 0) {
+        return { source: 'page_captions', segments, track: candidate.track };
+      }
+    }
+    return null;
+  }
+
+  // json3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+  parseJSON3(data) {
+    let json;
+    try {
+      json = JSON.parse(data);
+    } catch (error) {
+      return [];
+    }
+
+    return (json.events || [])
+      .filter(event => Array.isArray(event.segs))
+      .map(event => ({
+        start: (event.tStartMs || 0) / 1000,
+        duration: (event.dDurationMs || 0) / 1000,
+        text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim()
+      }))
+      .filter(segment => segment.text);
+  }
+
+  // Reads the transcript panel only when the user already has it open: opening
+  // it ourselves would pop YouTube's panel up on every video watched
+  async extractFromPanel() {
+    const panel = document.querySelector('ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-searchable-transcript"]');
+    if (panel?.getAttribute('visibility') !== 'ENGAGEMENT_PANEL_VISIBILITY_EXPANDED') return null;
+
+    const rows = await this.waitForPanelSegments();
+    const segments = rows
+      .map(row => ({
+        start: this.parseTimestamp(row.querySelector('.segment-timestamp')?.textContent || ''),
+        text: (row.querySelector('.segment-text')?.textContent || '').replace(/\s+/g, ' ').trim()
+      }))
+      .filter(segment => segment.text)
+      .map((segment, index, all) => ({
+        ...segment,
+        duration: index + 1 < all.length ? Math.max(0, all[index + 1].start - segment.start) : 0
+      }));
+    return segments.length > 0 ? { source: 'page_panel', segments, track: null } : null;
+  }
+
+  async waitForPanelSegments() {
+    const deadline = Date.now() + PAGE_TRANSCRIPT_PANEL_TIMEOUT;
+    while (Date.now() < deadline && !this.abortController.signal.aborted) {
+      const rows = document.querySelectorAll('ytd-transcript-segment-renderer');
+      if (rows.length > 0) return [...rows];
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    return [];
+  }
+
+  // "1:02:03" or "4:05" to seconds
+  parseTimestamp(text) {
+    return text.trim().split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+  }
+
+  destroy() {
+    this.abortController.abort();
+  }
+}
+
+// Export for use in other modules
+window.PageTranscriptExtractor = PageTranscriptExtractor;
@@ -75,6 +75,14 @@ class YouTubeInjector {
       window.quickSightPreloader.scanForNewVideos();
     }
 
+    // STEP 5: On a watch page, read the playing video's transcript in-page
+    const watchedVideoId = location.pathname === '/watch' ? new URLSearchParams(location.search).get('v') : null;
+    if (watchedVideoId) {
+      console.log('5️⃣ [Injector] Extracting transcript from the player...');
+      window.quickSightPageTranscript = new window.PageTranscriptExtractor();
+      window.quickSightPageTranscript.extract(watchedVideoId);
+    }
+
     console.log('✅ [Injector] Initialization sequence complete');
   }
 
@@ -176,6 +184,11 @@ class YouTubeInjector {
       window.quickSightPreloader.destroy();
       window.quickSightPreloader = null;
     }
+
+    if (window.quickSightPageTranscript) {
+      window.quickSightPageTranscript.destroy();
+      window.quickSightPageTranscript = null;
+    }
     
     this.isInitialized = false;
     this.initializationPromise = null;
@@ -1,15 +1,43 @@
 // QuickSight Popup Script
+
+// Used until the background worker reports its provider registry
+const FALLBACK_PROVIDERS = [{
+  id: 'openai',
+  label: 'OpenAI',
+  keySetting: 'apiKey',
+  keyRequired: true,
+  keyPlaceholder: 'Enter your OpenAI API key',
+  keyHelpUrl: 'https://platform.openai.com/api-keys',
+  keyHelpText: 'Get your OpenAI API key',
+  keyPattern: null,
+  keyFormatHint: ''
+}];
+
 class QuickSightPopup {
   constructor() {
     this.settings = {
       enabled: true,
       aiProvider: 'openai',
-      apiKey: '',
+      customBaseUrl: '',
+      customModels: { fast: '', detailed: '', extended: '' },
       hoverDelay: 200,
       maxCacheSize: 100,
-      preloadCount: 3
+      cacheEviction: 'lru',
+      preloadCount: 3,
+      captionLanguages: '',
+      youtubeApiKey: '',
+      cleanupNonSpeech: true,
+      cleanupOverlaps: true,
+      cleanupRepeats: true,
+      cleanupSentences: true,
+      budgetDaily: 0,
+      budgetMonthly: 0,
+      budgetAction: 'preload'
     };
     
+    this.providers = new Map(); // Provider id -> descriptor from the worker's registry
+    this.sensitiveSettings = []; // API keys, kept in local storage instead of sync storage
+    this.customModelList = [];
     this.elements = {};
     this.init();
   }
@@ -17,8 +45,12 @@ class QuickSightPopup {
   async init() {
     this.cacheElements();
     this.bindEvents();
+    await this.loadProviders();
     await this.loadSettings();
+    await this.loadCustomModelList();
     await this.loadStatistics();
+    await this.loadUsage();
+    await this.loadYouTubeApiQuota();
     await this.loadSavedSummaries();
     this.updateUI();
   }
@@ -29,16 +61,36 @@ class QuickSightPopup {
       aiProvider: document.getElementById('aiProvider'),
       apiKey: document.getElementById('apiKey'),
       toggleApiKey: document.getElementById('toggleApiKey'),
+      apiKeyHelpLink: document.getElementById('apiKeyHelpLink'),
+      customEndpointSettings: document.getElementById('customEndpointSettings'),
+      customBaseUrl: document.getElementById('customBaseUrl'),
+      discoverModels: document.getElementById('discoverModels'),
+      customModelSelects: document.querySelectorAll('#customEndpointSettings select[data-mode]'),
+      captionLanguages: document.getElementById('captionLanguages'),
+      youtubeApiKey: document.getElementById('youtubeApiKey'),
+      youtubeApiQuota: document.getElementById('youtubeApiQuota'),
+      cleanupOptions: document.querySelectorAll('#cleanupOptions input[data-setting]'),
       hoverDelay: document.getElementById('hoverDelay'),
       hoverDelayValue: document.getElementById('hoverDelayValue'),
       maxCacheSize: document.getElementById('maxCacheSize'),
       maxCacheSizeValue: document.getElementById('maxCacheSizeValue'),
+      cacheEviction: document.getElementById('cacheEviction'),
       preloadCount: document.getElementById('preloadCount'),
       preloadCountValue: document.getElementById('preloadCountValue'),
       totalSummaries: document.getElementById('totalSummaries'),
       cacheHitRate: document.getElementById('cacheHitRate'),
       avgResponseTime: document.getElementById('avgResponseTime'),
+      usageTodayCost: document.getElementById('usageTodayCost'),
+      usageTodayDetail: document.getElementById('usageTodayDetail'),
+      usageMonthCost: document.getElementById('usageMonthCost'),
+      usageMonthDetail: document.getElementById('usageMonthDetail'),
+      usageBreakdown: document.getElementById('usageBreakdown'),
+      budgetDaily: document.getElementById('budgetDaily'),
+      budgetMonthly: document.getElementById('budgetMonthly'),
+      budgetAction: document.getElementById('budgetAction'),
+      budgetStatus: document.getElementById('budgetStatus'),
       clearCache: document.getElementById('clearCache'),
+      regenerateOutdated: document.getElementById('regenerateOutdated'),
       exportData: document.getElementById('exportData'),
       savedSummariesList: document.getElementById('savedSummariesList'),
       statusToast: document.getElementById('statusToast'),
@@ -56,16 +108,47 @@ class QuickSightPopup {
 
     this.elements.aiProvider.addEventListener('change', (e) => {
       this.updateSetting('aiProvider', e.target.value);
+      this.updateApiKeyField();
     });
 
     this.elements.apiKey.addEventListener('input', (e) => {
-      this.updateSetting('apiKey', e.target.value);
+      this.updateSetting(this.getProviderKeyInfo().keySetting, e.target.value);
     });
 
     this.elements.toggleApiKey.addEventListener('click', () => {
       this.toggleApiKeyVisibility();
     });
 
+    // Custom endpoint controls
+    this.elements.customBaseUrl.addEventListener('change', (e) => {
+      this.updateSetting('customBaseUrl', e.target.value.trim());
+    });
+
+    this.elements.discoverModels.addEventListener('click', () => {
+      this.discoverModels();
+    });
+
+    this.elements.customModelSelects.forEach(select => {
+      select.addEventListener('change', (e) => {
+        const customModels = { ...this.settings.customModels, [select.dataset.mode]: e.target.value };
+        this.updateSetting('customModels', customModels);
+      });
+    });
+
+    // Transcript controls
+    this.elements.captionLanguages.addEventListener('change', (e) => {
+      this.updateSetting('captionLanguages', e.target.value.trim());
+    });
+    this.elements.youtubeApiKey.addEventListener('change', async (e) => {
+      await this.updateSetting('youtubeApiKey', e.target.value.trim());
+      await this.loadYouTubeApiQuota();
+    });
+    this.elements.cleanupOptions.forEach(checkbox => {
+      checkbox.addEventListener('change', (e) => {
+        this.updateSetting(checkbox.dataset.setting, e.target.checked);
+      });
+    });
+
     // Range controls
     this.elements.hoverDelay.addEventListener('input', (e) => {
       const value = parseInt(e.target.value);
@@ -73,10 +156,16 @@ class QuickSightPopup {
       this.updateSetting('hoverDelay', value);
     });
 
+    // Saved once the slider is released: a smaller size evicts right away
     this.elements.maxCacheSize.addEventListener('input', (e) => {
-      const value = parseInt(e.target.value);
-      this.elements.maxCacheSizeValue.textContent = value;
-      this.updateSetting('maxCacheSize', value);
+      this.elements.maxCacheSizeValue.textContent = e.target.value;
+    });
+    this.elements.maxCacheSize.addEventListener('change', (e) => {
+      this.updateSetting('maxCacheSize', parseInt(e.target.value));
+    });
+
+    this.elements.cacheEviction.addEventListener('change', (e) => {
+      this.updateSetting('cacheEviction', e.target.value);
     });
 
     this.elements.preloadCount.addEventListener('input', (e) => {
@@ -85,11 +174,29 @@ class QuickSightPopup {
       this.updateSetting('preloadCount', value);
     });
 
+    // Budget controls; an empty field means no cap
+    ['budgetDaily', 'budgetMonthly'].forEach(key => {
+      this.elements[key].addEventListener('change', async (e) => {
+        const value = Math.max(0, parseFloat(e.target.value) || 0);
+        await this.updateSetting(key, value);
+        await this.loadUsage();
+      });
+    });
+
+    this.elements.budgetAction.addEventListener('change', async (e) => {
+      await this.updateSetting('budgetAction', e.target.value);
+      await this.loadUsage();
+    });
+
     // Action buttons
     this.elements.clearCache.addEventListener('click', () => {
       this.clearCache();
     });
 
+    this.elements.regenerateOutdated.addEventListener('click', () => {
+      this.regenerateOutdated();
+    });
+
     this.elements.exportData.addEventListener('click', () => {
       this.exportData();
     });
@@ -106,14 +213,35 @@ class QuickSightPopup {
     });
   }
 
+  async loadProviders() {
+    let providers = FALLBACK_PROVIDERS;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'listProviders' });
+      if (response?.success && response.data.length > 0) {
+        providers = response.data;
+      }
+    } catch (error) {
+      console.warn('⚠️ [Popup] Could not load providers from background:', error.message);
+    }
+
+    this.providers = new Map(providers.map(provider => [provider.id, provider]));
+    this.sensitiveSettings = [...providers.map(provider => provider.keySetting), 'youtubeApiKey'];
+    providers.forEach(provider => {
+      this.settings[provider.keySetting] = this.settings[provider.keySetting] || '';
+    });
+
+    this.elements.aiProvider.innerHTML = providers.map(provider =>
+      `<option value="${provider.id}">${this.escapeHtml(provider.label)}</option>`
+    ).join('');
+  }
+
   async loadSettings() {
     try {
       // Use local storage for sensitive data like API keys
-      const sensitiveKeys = ['apiKey'];
-      const regularKeys = Object.keys(this.settings).filter(key => !sensitiveKeys.includes(key));
+      const regularKeys = Object.keys(this.settings).filter(key => !this.sensitiveSettings.includes(key));
       
       const [sensitiveData, regularData] = await Promise.all([
-        chrome.storage.local.get(sensitiveKeys),
+        chrome.storage.local.get(this.sensitiveSettings),
         chrome.storage.sync.get(regularKeys)
       ]);
       
@@ -129,11 +257,24 @@ class QuickSightPopup {
       this.settings = {
         enabled: true,
         aiProvider: 'openai',
-        apiKey: '',
+        customBaseUrl: '',
+        customModels: { fast: '', detailed: '', extended: '' },
         maxCacheSize: 100,
+        cacheEviction: 'lru',
         preloadCount: 3,
-        hoverDelay: 200
+        hoverDelay: 200,
+        captionLanguages: '',
+        cleanupNonSpeech: true,
+        cleanupOverlaps: true,
+        cleanupRepeats: true,
+        cleanupSentences: true,
+        budgetDaily: 0,
+        budgetMonthly: 0,
+        budgetAction: 'preload'
       };
+      this.sensitiveSettings.forEach(key => {
+        this.settings[key] = '';
+      });
     }
   }
 
@@ -141,8 +282,8 @@ class QuickSightPopup {
     try {
       this.settings[key] = value;
       
-      // Store API key in local storage for security
-      const storage = key === 'apiKey' ? chrome.storage.local : chrome.storage.sync;
+      // Store API keys in local storage for security
+      const storage = this.sensitiveSettings.includes(key) ? chrome.storage.local : chrome.storage.sync;
       await storage.set({ [key]: value });
       
       console.log(`✅ [Popup] Setting '${key}' saved successfully`);
@@ -153,7 +294,7 @@ class QuickSightPopup {
       }
       
       // Validate API key if it's being updated
-      if (key === 'apiKey' && value) {
+      if (key === this.getProviderKeyInfo().keySetting && value) {
         await this.validateApiKey(value);
       }
       
@@ -175,38 +316,145 @@ class QuickSightPopup {
   }
 
   async validateApiKey(apiKey) {
+    // Catch malformed keys locally before making a request
+    const { keyPattern, keyFormatHint } = this.getProviderKeyInfo();
+    if (keyPattern && !new RegExp(keyPattern).test(apiKey.trim())) {
+      this.showToast(keyFormatHint, 'error');
+      return;
+    }
+
     try {
       console.log('🔑 [Popup] Validating API key...');
       
       const response = await chrome.runtime.sendMessage({
-        action: 'testOpenAI'
+        action: 'testProvider',
+        provider: this.settings.aiProvider
       });
       
-      if (response.success) {
+      // The worker wraps the connection test result in `data`
+      const result = response.success ? response.data : response;
+      
+      if (result.success) {
         this.showToast('API key validated successfully', 'success');
         console.log('✅ [Popup] API key validation successful');
       } else {
-        this.showToast(`API key validation failed: ${response.error}`, 'error');
-        console.error('❌ [Popup] API key validation failed:', response.error);
+        this.showToast(`API key validation failed: ${result.error || result.message}`, 'error');
+        console.error('❌ [Popup] API key validation failed:', result.error || result.message);
       }
     } catch (error) {
       console.error('❌ [Popup] API key validation error:', error);
       this.showToast('Could not validate API key', 'warning');
     }
   }
+
+  getProviderKeyInfo() {
+    return this.providers.get(this.settings.aiProvider) || this.providers.values().next().value;
+  }
+
+  // Show the key, placeholder and help link of the selected provider
+  updateApiKeyField() {
+    const info = this.getProviderKeyInfo();
+    this.elements.apiKey.value = this.settings[info.keySetting] || '';
+    this.elements.apiKey.placeholder = info.keyPlaceholder;
+    this.elements.apiKeyHelpLink.href = info.keyHelpUrl;
+    this.elements.apiKeyHelpLink.textContent = info.keyHelpText;
+    this.elements.customEndpointSettings.hidden = this.settings.aiProvider !== 'custom';
+  }
+
+  async loadCustomModelList() {
+    try {
+      const data = await chrome.storage.local.get(['customModelList']);
+      this.customModelList = data.customModelList || [];
+    } catch (error) {
+      console.error('Failed to load custom model list:', error);
+    }
+  }
+
+  async discoverModels() {
+    const baseUrl = this.settings.customBaseUrl;
+    if (!baseUrl) {
+      this.showToast('Enter the server URL first', 'error');
+      return;
+    }
+
+    try {
+      // Self-hosted servers are not covered by the manifest's host permissions
+      const origin = new URL(baseUrl).origin;
+      const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+      if (!granted) {
+        this.showToast(`Access to ${origin} was not granted`, 'error');
+        return;
+      }
+
+      const response = await chrome.runtime.sendMessage({ action: 'listCustomModels' });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.customModelList = response.data;
+      await chrome.storage.local.set({ customModelList: this.customModelList });
+
+      // Pre-select the first model for any mode that has no valid choice yet
+      const customModels = { ...this.settings.customModels };
+      let changed = false;
+      for (const mode of ['fast', 'detailed', 'extended']) {
+        if (this.customModelList.length > 0 && !this.customModelList.includes(customModels[mode])) {
+          customModels[mode] = this.customModelList[0];
+          changed = true;
+        }
+      }
+      if (changed) {
+        await this.updateSetting('customModels', customModels);
+      }
+
+      this.renderCustomModelSelects();
+      this.showToast(`Found ${this.customModelList.length} models`);
+    } catch (error) {
+      console.error('❌ [Popup] Model discovery failed:', error);
+      this.showToast(`Model discovery failed: ${error.message}`, 'error');
+    }
+  }
+
+  renderCustomModelSelects() {
+    this.elements.customModelSelects.forEach(select => {
+      const selected = this.settings.customModels[select.dataset.mode] || '';
+      const models = [...this.customModelList];
+      if (selected && !models.includes(selected)) {
+        models.unshift(selected);
+      }
+
+      select.innerHTML = models.length > 0
+        ? models.map(model => `<option value="${this.escapeHtml(model)}">${this.escapeHtml(model)}</option>`).join('')
+        : '<option value="">Discover models first</option>';
+      select.value = selected;
+    });
+  }
+
   updateUI() {
     this.elements.enabledToggle.checked = this.settings.enabled;
     this.elements.aiProvider.value = this.settings.aiProvider;
-    this.elements.apiKey.value = this.settings.apiKey;
+    this.updateApiKeyField();
+    this.elements.customBaseUrl.value = this.settings.customBaseUrl;
+    this.renderCustomModelSelects();
+    this.elements.captionLanguages.value = this.settings.captionLanguages;
+    this.elements.youtubeApiKey.value = this.settings.youtubeApiKey;
+    this.elements.cleanupOptions.forEach(checkbox => {
+      checkbox.checked = this.settings[checkbox.dataset.setting];
+    });
     
     this.elements.hoverDelay.value = this.settings.hoverDelay;
     this.elements.hoverDelayValue.textContent = `${this.settings.hoverDelay}ms`;
     
     this.elements.maxCacheSize.value = this.settings.maxCacheSize;
     this.elements.maxCacheSizeValue.textContent = this.settings.maxCacheSize;
+    this.elements.cacheEviction.value = this.settings.cacheEviction;
     
     this.elements.preloadCount.value = this.settings.preloadCount;
     this.elements.preloadCountValue.textContent = this.settings.preloadCount;
+
+    this.elements.budgetDaily.value = this.settings.budgetDaily || '';
+    this.elements.budgetMonthly.value = this.settings.budgetMonthly || '';
+    this.elements.budgetAction.value = this.settings.budgetAction;
   }
 
   toggleApiKeyVisibility() {
@@ -234,20 +482,97 @@ class QuickSightPopup {
 
   async loadStatistics() {
     try {
-      const stats = await chrome.storage.local.get([
-        'totalSummaries', 
-        'cacheHitRate', 
-        'avgResponseTime'
+      const [stats, cacheResponse] = await Promise.all([
+        chrome.storage.local.get(['totalSummaries', 'avgResponseTime']),
+        chrome.runtime.sendMessage({ action: 'getCacheStats' })
       ]);
       
+      // Summary lookups only; transcript and metadata hits don't save an AI call
+      const summaryLookups = cacheResponse?.success ? cacheResponse.data.byType.summary : null;
+      const lookups = summaryLookups ? summaryLookups.hits + summaryLookups.misses : 0;
       this.elements.totalSummaries.textContent = stats.totalSummaries || 0;
-      this.elements.cacheHitRate.textContent = `${Math.round((stats.cacheHitRate || 0) * 100)}%`;
+      this.elements.cacheHitRate.textContent = `${lookups > 0 ? Math.round((summaryLookups.hits / lookups) * 100) : 0}%`;
       this.elements.avgResponseTime.textContent = `${Math.round(stats.avgResponseTime || 0)}ms`;
     } catch (error) {
       console.error('Failed to load statistics:', error);
     }
   }
 
+  async loadUsage() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getUsageSummary' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+      this.renderUsage(response.data);
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+    }
+  }
+
+  async loadYouTubeApiQuota() {
+    if (!this.settings.youtubeApiKey) {
+      this.elements.youtubeApiQuota.textContent = 'Titles, views and descriptions are read from the watch page.';
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getYouTubeApiQuota' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+      const { used, limit, exhausted } = response.data;
+      this.elements.youtubeApiQuota.textContent = exhausted
+        ? 'Daily quota used up; reading the watch page until it resets.'
+        : `${used.toLocaleString()} of ${limit.toLocaleString()} quota units used today.`;
+    } catch (error) {
+      console.error('Failed to load YouTube API quota:', error);
+    }
+  }
+
+  renderUsage({ today, month, budget }) {
+    const detail = totals => `${totals.requests} requests • ${this.formatTokens(totals.totalTokens)} tokens`;
+    this.elements.usageTodayCost.textContent = this.formatCost(today.cost);
+    this.elements.usageTodayDetail.textContent = detail(today);
+    this.elements.usageMonthCost.textContent = this.formatCost(month.cost);
+    this.elements.usageMonthDetail.textContent = detail(month);
+
+    // This month's spend by model and by summary mode, most expensive first
+    const rows = (title, breakdown) => {
+      const entries = Object.entries(breakdown).sort((a, b) => b[1].cost - a[1].cost || b[1].requests - a[1].requests);
+      if (entries.length === 0) return '';
+      return `
+        <div class="usage-breakdown-title">${title}</div>
+        ${entries.map(([name, totals]) => `
+          <div class="usage-row">
+            <span class="usage-name">${this.escapeHtml(name)}</span>
+            <span class="usage-amount">${this.formatCost(totals.cost)}${totals.unpricedRequests ? '*' : ''} • ${totals.requests}</span>
+          </div>
+        `).join('')}
+      `;
+    };
+    this.elements.usageBreakdown.innerHTML = rows('By model this month', month.byModel) + rows('By mode this month', month.byMode);
+
+    const status = this.elements.budgetStatus;
+    status.hidden = !budget.exceeded;
+    if (budget.exceeded) {
+      const cap = budget.exceeded === 'daily' ? budget.daily : budget.monthly;
+      const paused = budget.action === 'all' ? 'All AI summaries are paused' : 'Preloading is paused';
+      status.textContent = `${budget.exceeded === 'daily' ? 'Daily' : 'Monthly'} budget of ${this.formatCost(cap)} reached. ${paused}.`;
+    }
+  }
+
+  formatCost(cost) {
+    if (cost > 0 && cost < 0.01) return `$${cost.toFixed(4)}`;
+    return `$${cost.toFixed(2)}`;
+  }
+
+  formatTokens(tokens) {
+    if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+    if (tokens >= 1000) return `${(tokens / 1000).toFixed(1)}k`;
+    return String(tokens);
+  }
+
   async loadSavedSummaries() {
     try {
       const data = await chrome.storage.local.get(['savedSummaries']);
@@ -289,17 +614,32 @@ class QuickSightPopup {
             ${this.formatDate(summary.savedAt)}
           </div>
         </div>
+        ${summary.metadata.id ? `
+          <select class="saved-export" aria-label="Export transcript" title="Export transcript">
+            <option value="">Export</option>
+            <option value="srt">SRT</option>
+            <option value="vtt">WebVTT</option>
+            <option value="txt">Text</option>
+            <option value="md">Markdown</option>
+          </select>
+        ` : ''}
       </div>
     `).join('');
 
     // Add click handlers
     container.querySelectorAll('.saved-item').forEach(item => {
-      item.addEventListener('click', () => {
+      item.addEventListener('click', (e) => {
         const videoId = item.dataset.videoId;
-        if (videoId) {
+        if (videoId && !e.target.closest('.saved-export')) {
           this.openVideo(videoId);
         }
       });
+
+      const exportSelect = item.querySelector('.saved-export');
+      exportSelect?.addEventListener('change', () => {
+        if (exportSelect.value) this.exportTranscript(item.dataset.videoId, exportSelect.value);
+        exportSelect.value = '';
+      });
     });
   }
 
@@ -317,11 +657,39 @@ class QuickSightPopup {
     return date.toLocaleDateString();
   }
 
+  // Can take a while: every outdated summary is one AI request
+  async regenerateOutdated() {
+    const button = this.elements.regenerateOutdated;
+    button.disabled = true;
+    this.showToast('Regenerating outdated summaries...');
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'regenerateOutdated' });
+      if (!response?.success) {
+        throw new Error(response?.error || 'No response from background');
+      }
+
+      const { outdated, regenerated, failed, stoppedByBudget } = response.data;
+      if (outdated === 0) {
+        this.showToast('All cached summaries are up to date');
+      } else if (stoppedByBudget) {
+        this.showToast(`Regenerated ${regenerated} of ${outdated} summaries before reaching your AI budget`, 'error');
+      } else {
+        this.showToast(`Regenerated ${regenerated} of ${outdated} outdated summaries${failed ? ` (${failed} failed)` : ''}`, failed ? 'error' : 'success');
+      }
+      await this.loadUsage();
+    } catch (error) {
+      console.error('Failed to regenerate summaries:', error);
+      this.showToast('Failed to regenerate summaries', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
   async clearCache() {
     try {
-      await chrome.storage.local.clear();
+      // Only the worker's cache: the usage ledger, API keys and quota state stay
+      await chrome.runtime.sendMessage({ action: 'clearCache' });
       await this.loadStatistics();
-      await this.loadSavedSummaries();
       this.showToast('Cache cleared successfully');
       
       // Notify content script
@@ -332,12 +700,44 @@ class QuickSightPopup {
     }
   }
 
+  // The background fetches the transcript (or reuses the one it summarized) and renders the file
+  async exportTranscript(videoId, format) {
+    try {
+      this.showToast('Preparing transcript...');
+      const response = await chrome.runtime.sendMessage({ action: 'exportTranscript', videoId, format });
+      if (!response?.success) {
+        const noTranscript = response?.errorInfo?.kind === 'no_transcript';
+        this.showToast(noTranscript ? 'No transcript available for this video' : 'Failed to export transcript', 'error');
+        return;
+      }
+
+      const { filename, mimeType, content } = response.data;
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      this.showToast('Transcript exported');
+    } catch (error) {
+      console.error('Failed to export transcript:', error);
+      this.showToast('Failed to export transcript', 'error');
+    }
+  }
+
   async exportData() {
     try {
+      // The export is plain text; every key kept in local storage (provider keys,
+      // the YouTube Data API key) and the pre-registry apiKey stay out of it
+      const secrets = ['apiKey', ...this.sensitiveSettings];
+      const withoutSecrets = values => Object.fromEntries(Object.entries(values).filter(([key]) => !secrets.includes(key)));
       const data = await chrome.storage.local.get(null);
       const exportData = {
-        settings: this.settings,
-        ...data,
+        settings: withoutSecrets(this.settings),
+        ...withoutSecrets(data),
         exportedAt: new Date().toISOString(),
         version: '1.0.0'
       };
@@ -386,6 +786,7 @@ class QuickSightPopup {
 ## Settings
 - **Hover Delay**: Time to wait before showing tooltip
 - **Cache Size**: Number of summaries to store locally
+- **Cache Eviction**: Whether the least recently or least frequently used summaries go first
 - **Preload Count**: Videos to process automatically
 
 ## Troubleshooting
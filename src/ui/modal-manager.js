@@ -7,6 +7,32 @@ class QuickSightModalManager {
     this.currentVideoId = null;
     this.focusableElements = [];
     this.previousFocus = null;
+    this.streamPort = null; // Open port while an extended summary is streaming
+    this.pendingPartial = null;
+    this.renderFrame = null;
+    this.transcript = null; // { videoId, segments } shown in the Transcript tab
+    this.transcriptMatches = [];
+    this.transcriptMatchIndex = -1;
+    this.activeSegmentIndex = -1;
+    this.playbackVideo = null; // Watch-page <video> the transcript follows
+    this.onPlaybackTime = () => this.highlightSegmentAt(this.playbackVideo.currentTime);
+    // Document listeners, kept so destroy() can remove them
+    this.onSelectionChange = () => {
+      if (this.isVisible && this.transcript) this.updateCopyLabel();
+    };
+    this.onKeyDown = (e) => {
+      if (!this.isVisible) return;
+
+      switch (e.key) {
+        case 'Escape':
+          console.log('🎬 [Modal Manager] Escape key pressed');
+          this.hide();
+          break;
+        case 'Tab':
+          this.handleTabNavigation(e);
+          break;
+      }
+    };
     this.init();
   }
 
@@ -68,6 +94,7 @@ class QuickSightModalManager {
               <span class="qs-modal-channel"></span>
               <span class="qs-modal-views"></span>
               <span class="qs-modal-upload-date"></span>
+              <span class="qs-modal-caption-track" title="What the summary was made from"></span>
             </div>
           </div>
         </div>
@@ -78,53 +105,84 @@ class QuickSightModalManager {
         </button>
       </div>
 
-      <div class="qs-modal-content" style="padding: 24px; overflow-y: auto; max-height: calc(80vh - 120px);">
-        <div class="qs-modal-loading" style="display: flex; align-items: center; justify-content: center; padding: 40px; color: #6b7280;">
-          <div style="display: flex; align-items: center; gap: 12px;">
-            <div style="width: 24px; height: 24px; border: 2px solid #e5e7eb; border-top: 2px solid #3b82f6; border-radius: 50%; animation: spin 1s linear infinite;"></div>
-            <span>Generating detailed summary...</span>
-          </div>
-        </div>
+      <div class="qs-modal-tabs" role="tablist" style="display: flex; gap: 4px; padding: 0 24px; border-bottom: 1px solid #e5e7eb;">
+        <button class="qs-modal-tab" type="button" role="tab" data-tab="summary" aria-selected="true">Summary</button>
+        <button class="qs-modal-tab" type="button" role="tab" data-tab="transcript" aria-selected="false">Transcript</button>
+      </div>
 
-        <div class="qs-modal-summary" style="display: none;">
-          <div class="qs-modal-section" style="margin-bottom: 32px;">
-            <h3 class="qs-section-title" style="display: flex; align-items: center; gap: 8px; font-size: 16px; font-weight: 600; margin: 0 0 16px 0; color: #1f2937;">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="color: #3b82f6; flex-shrink: 0;">
-                <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
-                <polyline points="14,2 14,8 20,8"/>
-              </svg>
-              Summary
-            </h3>
-            <div class="qs-modal-summary-text" style="font-size: 15px; line-height: 1.6; color: #374151;"></div>
+      <div class="qs-modal-content" style="padding: 24px; overflow-y: auto; max-height: calc(80vh - 165px);">
+        <div class="qs-modal-summary-panel" role="tabpanel">
+          <div class="qs-modal-loading" style="display: flex; align-items: center; justify-content: center; padding: 40px; color: #6b7280;">
+            <div style="display: flex; align-items: center; gap: 12px;">
+              <div style="width: 24px; height: 24px; border: 2px solid #e5e7eb; border-top: 2px solid #3b82f6; border-radius: 50%; animation: spin 1s linear infinite;"></div>
+              <span>Generating detailed summary...</span>
+            </div>
           </div>
 
-          <div class="qs-modal-section" style="margin-bottom: 32px;">
-            <h3 class="qs-section-title" style="display: flex; align-items: center; gap: 8px; font-size: 16px; font-weight: 600; margin: 0 0 16px 0; color: #1f2937;">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="color: #3b82f6; flex-shrink: 0;">
-                <circle cx="12" cy="12" r="10"/>
-                <polyline points="12,6 12,12 16,14"/>
-              </svg>
-              Key Topics & Timeline
-            </h3>
-            <div class="qs-modal-timeline" style="display: flex; flex-direction: column; gap: 12px;"></div>
+          <div class="qs-modal-summary" style="display: none;">
+            <div class="qs-modal-section" style="margin-bottom: 32px;">
+              <h3 class="qs-section-title" style="display: flex; align-items: center; gap: 8px; font-size: 16px; font-weight: 600; margin: 0 0 16px 0; color: #1f2937;">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="color: #3b82f6; flex-shrink: 0;">
+                  <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                  <polyline points="14,2 14,8 20,8"/>
+                </svg>
+                Summary
+              </h3>
+              <div class="qs-modal-summary-text" style="font-size: 15px; line-height: 1.6; color: #374151;"></div>
+            </div>
+
+            <div class="qs-modal-section" style="margin-bottom: 32px;">
+              <h3 class="qs-section-title" style="display: flex; align-items: center; gap: 8px; font-size: 16px; font-weight: 600; margin: 0 0 16px 0; color: #1f2937;">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="color: #3b82f6; flex-shrink: 0;">
+                  <circle cx="12" cy="12" r="10"/>
+                  <polyline points="12,6 12,12 16,14"/>
+                </svg>
+                Key Topics & Timeline
+              </h3>
+              <div class="qs-modal-timeline" style="display: flex; flex-direction: column; gap: 12px;"></div>
+            </div>
+
+            <div class="qs-modal-section" style="margin-bottom: 0;">
+              <h3 class="qs-section-title" style="display: flex; align-items: center; gap: 8px; font-size: 16px; font-weight: 600; margin: 0 0 16px 0; color: #1f2937;">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="color: #3b82f6; flex-shrink: 0;">
+                  <path d="M9 11l3 3 8-8"/>
+                  <path d="M21 12c0 4.97-4.03 9-9 9-1.51 0-2.93-.37-4.18-1.03L2 21l1.03-5.82C2.37 14.93 2 13.51 2 12c0-4.97 4.03-9 9-9 1.68 0 3.24.47 4.57 1.28"/>
+                </svg>
+                Key Takeaways
+              </h3>
+              <div class="qs-modal-takeaways" style="display: flex; flex-direction: column; gap: 12px;"></div>
+            </div>
+
+            <div class="qs-modal-streaming" role="status" style="display: none; align-items: center; gap: 8px; margin-top: 24px; font-size: 13px; color: #6b7280;">
+              <div style="width: 14px; height: 14px; border: 2px solid #e5e7eb; border-top: 2px solid #3b82f6; border-radius: 50%; animation: spin 1s linear infinite;"></div>
+              <span>Still writing...</span>
+            </div>
           </div>
 
-          <div class="qs-modal-section" style="margin-bottom: 0;">
-            <h3 class="qs-section-title" style="display: flex; align-items: center; gap: 8px; font-size: 16px; font-weight: 600; margin: 0 0 16px 0; color: #1f2937;">
-              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="color: #3b82f6; flex-shrink: 0;">
-                <path d="M9 11l3 3 8-8"/>
-                <path d="M21 12c0 4.97-4.03 9-9 9-1.51 0-2.93-.37-4.18-1.03L2 21l1.03-5.82C2.37 14.93 2 13.51 2 12c0-4.97 4.03-9 9-9 1.68 0 3.24.47 4.57 1.28"/>
-              </svg>
-              Key Takeaways
-            </h3>
-            <div class="qs-modal-takeaways" style="display: flex; flex-direction: column; gap: 12px;"></div>
+          <div class="qs-modal-error" style="display: none; flex-direction: column; align-items: center; padding: 40px; color: #6b7280;">
+            <div style="font-size: 48px; margin-bottom: 16px;">⚠️</div>
+            <div class="qs-error-title" style="font-size: 16px; font-weight: 500; margin-bottom: 8px; color: #1f2937;">Unable to Generate Extended Summary</div>
+            <div class="qs-error-message" style="text-align: center; font-size: 14px;"></div>
+            <div class="qs-error-hint" style="text-align: center; font-size: 13px; margin-top: 8px;"></div>
+            <button class="qs-error-retry" type="button" style="display: none; margin-top: 16px; padding: 8px 16px; border: none; border-radius: 8px; background: #3b82f6; color: white; font-size: 14px; font-weight: 500; cursor: pointer;">Try Again</button>
           </div>
         </div>
 
-        <div class="qs-modal-error" style="display: none; flex-direction: column; align-items: center; padding: 40px; color: #6b7280;">
-          <div style="font-size: 48px; margin-bottom: 16px;">⚠️</div>
-          <div style="font-size: 16px; font-weight: 500; margin-bottom: 8px; color: #1f2937;">Unable to Generate Extended Summary</div>
-          <div class="qs-error-message" style="text-align: center; font-size: 14px;"></div>
+        <div class="qs-modal-transcript" role="tabpanel" style="display: none;">
+          <div class="qs-transcript-toolbar">
+            <input class="qs-transcript-search" type="search" placeholder="Search transcript" aria-label="Search transcript">
+            <span class="qs-transcript-count" aria-live="polite"></span>
+            <button class="qs-transcript-copy" type="button" title="Select lines to copy just those">Copy all</button>
+            <select class="qs-transcript-export" aria-label="Export transcript">
+              <option value="">Export…</option>
+              <option value="srt">SRT subtitles</option>
+              <option value="vtt">WebVTT subtitles</option>
+              <option value="txt">Plain text</option>
+              <option value="md">Markdown</option>
+            </select>
+          </div>
+          <div class="qs-transcript-status" style="padding: 40px; text-align: center; color: #6b7280;"></div>
+          <div class="qs-transcript-lines" role="list"></div>
         </div>
       </div>
     `;
@@ -214,6 +272,101 @@ class QuickSightModalManager {
         flex: 1;
       }
       
+      .qs-modal-tab {
+        background: none;
+        border: none;
+        border-bottom: 2px solid transparent;
+        padding: 10px 12px;
+        font-size: 14px;
+        font-weight: 500;
+        color: #6b7280;
+        cursor: pointer;
+      }
+
+      .qs-modal-tab[aria-selected="true"] {
+        color: #3b82f6;
+        border-bottom-color: #3b82f6;
+      }
+
+      .qs-transcript-toolbar {
+        position: sticky;
+        top: -24px;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin: -24px 0 8px;
+        padding: 16px 0 8px;
+        background: #ffffff;
+      }
+
+      .qs-transcript-search {
+        flex: 1;
+        padding: 8px 12px;
+        border: 1px solid #d1d5db;
+        border-radius: 8px;
+        font-size: 14px;
+      }
+
+      .qs-transcript-count {
+        font-size: 12px;
+        color: #6b7280;
+        white-space: nowrap;
+      }
+
+      .qs-transcript-copy,
+      .qs-transcript-export {
+        padding: 8px 12px;
+        border: none;
+        border-radius: 8px;
+        background: #f3f4f6;
+        color: #374151;
+        font-size: 13px;
+        cursor: pointer;
+        white-space: nowrap;
+      }
+
+      .qs-transcript-line {
+        display: flex;
+        gap: 12px;
+        padding: 6px 8px;
+        border-radius: 6px;
+        font-size: 14px;
+        line-height: 1.5;
+        color: #374151;
+      }
+
+      .qs-transcript-line.qs-seekable {
+        cursor: pointer;
+      }
+
+      .qs-transcript-line.qs-seekable:hover {
+        background: #f3f4f6;
+      }
+
+      .qs-transcript-line.qs-transcript-active {
+        background: #eff6ff;
+        box-shadow: inset 3px 0 0 #3b82f6;
+      }
+
+      .qs-transcript-time {
+        font-family: 'Monaco', 'Menlo', 'Consolas', monospace;
+        font-size: 12px;
+        color: #3b82f6;
+        flex-shrink: 0;
+        padding-top: 2px;
+        user-select: none;
+      }
+
+      .qs-transcript-text mark {
+        background: #fde68a;
+        color: inherit;
+        border-radius: 2px;
+      }
+
+      .qs-transcript-text mark.qs-current-match {
+        background: #f59e0b;
+      }
+
       @media (prefers-color-scheme: dark) {
         .qs-modal {
           background: #1f2937 !important;
@@ -266,6 +419,50 @@ class QuickSightModalManager {
         .qs-takeaway-text {
           color: #d1fae5 !important;
         }
+
+        .qs-modal-tabs {
+          border-bottom-color: #374151 !important;
+        }
+
+        .qs-modal-tab {
+          color: #9ca3af;
+        }
+
+        .qs-transcript-toolbar {
+          background: #1f2937;
+        }
+
+        .qs-transcript-search {
+          background: #111827;
+          border-color: #4b5563;
+          color: #f9fafb;
+        }
+
+        .qs-transcript-copy,
+        .qs-transcript-export {
+          background: #374151;
+          color: #d1d5db;
+        }
+
+        .qs-transcript-line {
+          color: #d1d5db;
+        }
+
+        .qs-transcript-line.qs-seekable:hover {
+          background: #374151;
+        }
+
+        .qs-transcript-line.qs-transcript-active {
+          background: #1e3a8a;
+        }
+
+        .qs-transcript-text mark {
+          background: #92400e;
+        }
+
+        .qs-transcript-text mark.qs-current-match {
+          background: #d97706;
+        }
       }
       
       @media (max-width: 768px) {
@@ -307,6 +504,45 @@ class QuickSightModalManager {
       this.hide();
     });
 
+    // Retry after a retryable failure
+    this.modal.querySelector('.qs-error-retry').addEventListener('click', () => {
+      if (!this.currentVideoId) return;
+      console.log('🎬 [Modal Manager] Retry clicked');
+      this.showLoading();
+      this.generateExtendedSummary(this.currentVideoId);
+    });
+
+    // Summary / Transcript tabs
+    this.modal.querySelectorAll('.qs-modal-tab').forEach(tab => {
+      tab.addEventListener('click', () => this.showTab(tab.dataset.tab));
+    });
+
+    // Transcript search: matches update as you type, Enter steps through them
+    const search = this.modal.querySelector('.qs-transcript-search');
+    search.addEventListener('input', () => this.searchTranscript(search.value));
+    search.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.stepTranscriptMatch(e.shiftKey ? -1 : 1);
+      }
+    });
+
+    this.modal.querySelector('.qs-transcript-copy').addEventListener('click', () => this.copyTranscript());
+
+    const exportSelect = this.modal.querySelector('.qs-transcript-export');
+    exportSelect.addEventListener('change', () => {
+      if (exportSelect.value) this.exportTranscript(exportSelect.value);
+      exportSelect.value = '';
+    });
+    document.addEventListener('selectionchange', this.onSelectionChange);
+
+    // Clicking a line seeks the player, unless the click ended a text selection
+    this.modal.querySelector('.qs-transcript-lines').addEventListener('click', (e) => {
+      const line = e.target.closest('.qs-transcript-line');
+      if (!line || !window.getSelection().isCollapsed) return;
+      this.seekTo(this.transcript.segments[line.dataset.index].start);
+    });
+
     // Overlay click to close
     this.overlay.addEventListener('click', (e) => {
       if (e.target === this.overlay) {
@@ -316,19 +552,7 @@ class QuickSightModalManager {
     });
 
     // Keyboard navigation
-    document.addEventListener('keydown', (e) => {
-      if (!this.isVisible) return;
-
-      switch (e.key) {
-        case 'Escape':
-          console.log('🎬 [Modal Manager] Escape key pressed');
-          this.hide();
-          break;
-        case 'Tab':
-          this.handleTabNavigation(e);
-          break;
-      }
-    });
+    document.addEventListener('keydown', this.onKeyDown);
 
     console.log('🎬 [Modal Manager] Event listeners bound');
   }
@@ -354,6 +578,8 @@ class QuickSightModalManager {
 
     // Populate basic info
     this.populateVideoInfo(videoData);
+    this.resetTranscript();
+    this.showTab('summary');
     
     // Show modal
     this.previousFocus = document.activeElement;
@@ -385,6 +611,10 @@ class QuickSightModalManager {
 
     console.log('🎬 [Modal Manager] hide() called');
     
+    // Stop any summary still streaming for this video
+    this.cancelStream();
+    this.stopPlaybackSync();
+
     this.overlay.classList.remove('visible');
     this.overlay.setAttribute('aria-hidden', 'true');
     this.isVisible = false;
@@ -420,6 +650,7 @@ class QuickSightModalManager {
     this.modal.querySelector('.qs-modal-channel').textContent = channel;
     this.modal.querySelector('.qs-modal-views').textContent = views ? `${views}` : '';
     this.modal.querySelector('.qs-modal-upload-date').textContent = uploadDate;
+    this.modal.querySelector('.qs-modal-caption-track').textContent = '';
 
     console.log('🎬 [Modal Manager] Video info populated:', { title, channel, views, uploadDate });
   }
@@ -435,67 +666,127 @@ class QuickSightModalManager {
     this.modal.querySelector('.qs-modal-error').style.display = 'none';
   }
 
-  showError(message) {
+  // errorInfo ({ title, hint, retryable }) comes from the background's classified errors
+  showError(message, errorInfo = null) {
     this.modal.querySelector('.qs-modal-loading').style.display = 'none';
     this.modal.querySelector('.qs-modal-summary').style.display = 'none';
     this.modal.querySelector('.qs-modal-error').style.display = 'flex';
+    this.modal.querySelector('.qs-error-title').textContent = errorInfo?.title || 'Unable to Generate Extended Summary';
     this.modal.querySelector('.qs-error-message').textContent = message;
+    this.modal.querySelector('.qs-error-hint').textContent = errorInfo?.hint || '';
+    this.modal.querySelector('.qs-error-retry').style.display = errorInfo?.retryable ? 'inline-block' : 'none';
+    this.updateFocusableElements();
     
     console.log('🎬 [Modal Manager] Error displayed:', message);
   }
 
   generateExtendedSummary(videoId) {
     console.log(`🎬 [Modal Manager] Generating extended summary for: ${videoId}`);
-    
-    // Request extended summary from background script
-    chrome.runtime.sendMessage({
-      action: 'getExtendedSummary',
-      videoId: videoId
-    }, (response) => {
-      if (chrome.runtime.lastError) {
-        console.error('🎬 [Modal Manager] Runtime error:', chrome.runtime.lastError);
-        this.showError('Failed to generate extended summary');
-        return;
+    this.cancelStream();
+
+    // Stream the summary from the background script over a long-lived port
+    const port = chrome.runtime.connect({ name: 'quicksight-extended-summary' });
+    this.streamPort = port;
+
+    port.onMessage.addListener((message) => {
+      if (port !== this.streamPort) return;
+
+      switch (message.type) {
+        case 'partial':
+          this.queuePartialRender(message.data);
+          break;
+        case 'done':
+          console.log(`🎬 [Modal Manager] Extended summary received for: ${videoId}`);
+          this.cancelStream();
+          this.displayExtendedSummary(message.data);
+          break;
+        case 'error':
+          console.error('🎬 [Modal Manager] Extended summary generation failed:', message.error);
+          this.cancelStream();
+          this.showError(message.error || 'Failed to generate extended summary', message.errorInfo);
+          break;
       }
+    });
 
-      if (response.success) {
-        console.log(`🎬 [Modal Manager] Extended summary received for: ${videoId}`);
-        this.displayExtendedSummary(response.data);
-      } else {
-        console.error('🎬 [Modal Manager] Extended summary generation failed:', response.error);
-        this.showError(response.error || 'Failed to generate extended summary');
+    port.onDisconnect.addListener(() => {
+      if (port !== this.streamPort) return;
+      console.error('🎬 [Modal Manager] Summary stream disconnected:', chrome.runtime.lastError);
+      this.cancelStream();
+      this.showError('Failed to generate extended summary');
+    });
+
+    port.postMessage({ action: 'streamExtendedSummary', videoId: videoId });
+  }
+
+  // Disconnecting tells the background script to abort the request
+  cancelStream() {
+    if (this.renderFrame) {
+      cancelAnimationFrame(this.renderFrame);
+      this.renderFrame = null;
+    }
+    this.pendingPartial = null;
+
+    if (this.streamPort) {
+      const port = this.streamPort;
+      this.streamPort = null;
+      port.disconnect();
+    }
+  }
+
+  // Render at most one partial summary per frame
+  queuePartialRender(partial) {
+    // Keep the spinner until the detailed sections start arriving
+    if (!partial.detailedSummary) return;
+
+    this.pendingPartial = partial;
+    if (this.renderFrame) return;
+
+    this.renderFrame = requestAnimationFrame(() => {
+      this.renderFrame = null;
+      if (this.pendingPartial && this.streamPort) {
+        this.displayExtendedSummary(this.pendingPartial, { partial: true });
       }
+      this.pendingPartial = null;
     });
   }
 
-  displayExtendedSummary(summaryData) {
-    const detailedSummary = summaryData.detailedSummary || summaryData;
+  // partial: the summary is still streaming, so sections may be incomplete or not started
+  displayExtendedSummary(summaryData, { partial = false } = {}) {
+    const detailedSummary = summaryData.detailedSummary || (partial ? {} : summaryData);
+
+    if (summaryData.contentSource === 'description') {
+      this.modal.querySelector('.qs-modal-caption-track').textContent = 'No transcript: summarized from the description';
+    } else if (summaryData.captionTrack) {
+      this.modal.querySelector('.qs-modal-caption-track').textContent = `CC: ${summaryData.captionTrack.label}`;
+    }
     
     // Update summary text
     const summaryContainer = this.modal.querySelector('.qs-modal-summary-text');
-    const paragraphs = detailedSummary.paragraphs || [];
+    const paragraphs = (detailedSummary.paragraphs || []).filter(paragraph => typeof paragraph === 'string');
     summaryContainer.innerHTML = paragraphs.map(paragraph => 
       `<p style="margin: 0 0 16px 0;">${this.escapeHtml(paragraph)}</p>`
     ).join('');
 
     // Update timeline
     const timelineContainer = this.modal.querySelector('.qs-modal-timeline');
-    const keyTopics = detailedSummary.keyTopics || [];
+    const keyTopics = (detailedSummary.keyTopics || []).filter(topic => topic && topic.topic);
     
     if (keyTopics.length > 0) {
       timelineContainer.innerHTML = keyTopics.map(topic => 
         `<div class="qs-timeline-item">
-          <div class="qs-timeline-timestamp">${topic.timestamp || '0:00'}</div>
+          <div class="qs-timeline-timestamp">${this.escapeHtml(topic.timestamp || '0:00')}</div>
           <div class="qs-timeline-topic">${this.escapeHtml(topic.topic)}</div>
         </div>`
       ).join('');
+    } else if (partial) {
+      timelineContainer.innerHTML = '';
     } else {
       timelineContainer.innerHTML = '<p style="color: #6b7280; font-style: italic; text-align: center; padding: 20px;">Timeline information not available for this video.</p>';
     }
 
     // Update takeaways
     const takeawaysContainer = this.modal.querySelector('.qs-modal-takeaways');
-    const takeaways = detailedSummary.takeaways || [];
+    const takeaways = (detailedSummary.takeaways || []).filter(takeaway => typeof takeaway === 'string');
     
     if (takeaways.length > 0) {
       takeawaysContainer.innerHTML = takeaways.map(takeaway => 
@@ -504,6 +795,8 @@ class QuickSightModalManager {
           <div class="qs-takeaway-text">${this.escapeHtml(takeaway)}</div>
         </div>`
       ).join('');
+    } else if (partial) {
+      takeawaysContainer.innerHTML = '';
     } else {
       takeawaysContainer.innerHTML = '<p style="color: #6b7280; font-style: italic; text-align: center; padding: 20px;">Key takeaways will be generated as we improve our analysis.</p>';
     }
@@ -512,8 +805,267 @@ class QuickSightModalManager {
     this.modal.querySelector('.qs-modal-loading').style.display = 'none';
     this.modal.querySelector('.qs-modal-error').style.display = 'none';
     this.modal.querySelector('.qs-modal-summary').style.display = 'block';
+    this.modal.querySelector('.qs-modal-streaming').style.display = partial ? 'flex' : 'none';
+
+    if (!partial) {
+      console.log('🎬 [Modal Manager] Extended summary displayed');
+    }
+  }
+
+  showTab(name) {
+    this.modal.querySelectorAll('.qs-modal-tab').forEach(tab => {
+      tab.setAttribute('aria-selected', String(tab.dataset.tab === name));
+    });
+    this.modal.querySelector('.qs-modal-summary-panel').style.display = name === 'summary' ? 'block' : 'none';
+    this.modal.querySelector('.qs-modal-transcript').style.display = name === 'transcript' ? 'block' : 'none';
+
+    if (name === 'transcript') {
+      if (this.transcript?.videoId !== this.currentVideoId) {
+        this.loadTranscript(this.currentVideoId);
+      } else {
+        this.startPlaybackSync();
+      }
+    } else {
+      this.stopPlaybackSync();
+    }
+    this.updateFocusableElements();
+  }
+
+  resetTranscript() {
+    this.stopPlaybackSync();
+    this.transcript = null;
+    this.transcriptMatches = [];
+    this.transcriptMatchIndex = -1;
+    this.activeSegmentIndex = -1;
+    this.modal.querySelector('.qs-transcript-search').value = '';
+    this.modal.querySelector('.qs-transcript-count').textContent = '';
+    this.modal.querySelector('.qs-transcript-lines').innerHTML = '';
+  }
+
+  async loadTranscript(videoId) {
+    const status = this.modal.querySelector('.qs-transcript-status');
+    status.textContent = 'Loading transcript...';
+    status.style.display = 'block';
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getTranscript', videoId });
+      if (videoId !== this.currentVideoId) return;
+      if (!response?.success || !response.data.available) {
+        status.textContent = response?.data?.source === 'description'
+          ? 'This video has no transcript; the summary was made from its description.'
+          : 'No transcript available for this video.';
+        return;
+      }
+
+      status.style.display = 'none';
+      this.transcript = { videoId, segments: response.data.segments };
+      this.renderTranscript();
+      this.startPlaybackSync();
+    } catch (error) {
+      console.error('🎬 [Modal Manager] Failed to load transcript:', error);
+      status.textContent = 'Failed to load the transcript.';
+    }
+  }
+
+  renderTranscript() {
+    const seekable = Boolean(this.getWatchedVideo());
+    this.modal.querySelector('.qs-transcript-lines').innerHTML = this.transcript.segments.map((segment, index) =>
+      `<div class="qs-transcript-line${seekable ? ' qs-seekable' : ''}" role="listitem" data-index="${index}">
+        <span class="qs-transcript-time">${this.formatTime(segment.start)}</span>
+        <span class="qs-transcript-text">${this.escapeHtml(segment.text)}</span>
+      </div>`
+    ).join('');
+    this.searchTranscript(this.modal.querySelector('.qs-transcript-search').value);
+    this.updateCopyLabel();
+    this.updateFocusableElements();
+  }
+
+  // Highlights every match; only lines whose highlighting changes are re-rendered
+  searchTranscript(query) {
+    if (!this.transcript) return;
+    const needle = query.trim().toLowerCase();
+    const lines = this.modal.querySelectorAll('.qs-transcript-line');
+    const previous = new Set(this.transcriptMatches);
+
+    this.transcriptMatches = needle
+      ? this.transcript.segments.flatMap((segment, index) => (segment.text.toLowerCase().includes(needle) ? [index] : []))
+      : [];
+    const current = new Set(this.transcriptMatches);
+
+    previous.forEach(index => current.has(index) || this.renderLineText(lines[index], ''));
+    current.forEach(index => this.renderLineText(lines[index], needle));
+
+    this.transcriptMatchIndex = -1;
+    this.modal.querySelector('.qs-transcript-count').textContent = needle && current.size === 0 ? 'No matches' : '';
+    this.stepTranscriptMatch(1);
+  }
+
+  renderLineText(line, needle) {
+    const text = this.transcript.segments[line.dataset.index].text;
+    const target = line.querySelector('.qs-transcript-text');
+    if (!needle) {
+      target.textContent = text;
+      return;
+    }
+
+    const pattern = new RegExp(needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+      html += `${this.escapeHtml(text.slice(last, match.index))}<mark>${this.escapeHtml(match[0])}</mark>`;
+      last = match.index + match[0].length;
+    }
+    target.innerHTML = html + this.escapeHtml(text.slice(last));
+  }
+
+  // Moves to the next (1) or previous (-1) matching line and scrolls it into view
+  stepTranscriptMatch(direction) {
+    if (this.transcriptMatches.length === 0) return;
+    const lines = this.modal.querySelectorAll('.qs-transcript-line');
+    const count = this.transcriptMatches.length;
+    lines[this.transcriptMatches[this.transcriptMatchIndex]]?.querySelectorAll('mark')
+      .forEach(mark => mark.classList.remove('qs-current-match'));
+
+    this.transcriptMatchIndex = (this.transcriptMatchIndex + direction + count) % count;
+    const line = lines[this.transcriptMatches[this.transcriptMatchIndex]];
+    line.querySelectorAll('mark').forEach(mark => mark.classList.add('qs-current-match'));
+    line.scrollIntoView({ block: 'center' });
+    this.modal.querySelector('.qs-transcript-count').textContent = `${this.transcriptMatchIndex + 1} / ${count}`;
+  }
+
+  // Lines touched by the current text selection, or null when nothing is selected in the transcript
+  getSelectedLines() {
+    const selection = window.getSelection();
+    if (selection.isCollapsed || selection.rangeCount === 0) return null;
+    const range = selection.getRangeAt(0);
+    const lines = [...this.modal.querySelectorAll('.qs-transcript-line')]
+      .filter(line => range.intersectsNode(line));
+    return lines.length > 0 ? lines : null;
+  }
+
+  updateCopyLabel() {
+    const selected = this.getSelectedLines();
+    this.modal.querySelector('.qs-transcript-copy').textContent = selected
+      ? `Copy ${selected.length} ${selected.length === 1 ? 'line' : 'lines'}`
+      : 'Copy all';
+  }
+
+  // Copies the selected lines (whole lines, with timestamps), or the whole transcript
+  async copyTranscript() {
+    if (!this.transcript) return;
+    const indexes = this.getSelectedLines()?.map(line => Number(line.dataset.index)) ||
+      this.transcript.segments.map((_, index) => index);
+    const text = indexes
+      .map(index => this.transcript.segments[index])
+      .map(segment => `[${this.formatTime(segment.start)}] ${segment.text}`)
+      .join('\n');
+
+    const button = this.modal.querySelector('.qs-transcript-copy');
+    try {
+      await navigator.clipboard.writeText(text);
+      button.textContent = 'Copied!';
+    } catch (error) {
+      console.error('🎬 [Modal Manager] Copy failed:', error);
+      button.textContent = 'Copy failed';
+    }
+    setTimeout(() => this.updateCopyLabel(), 1500);
+  }
+
+  // The background renders the file from the transcript it fetched; the page downloads it
+  async exportTranscript(format) {
+    const videoId = this.currentVideoId;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'exportTranscript', videoId, format });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Export failed');
+      }
+
+      const { filename, mimeType, content } = response.data;
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      console.log(`🎬 [Modal Manager] Exported transcript as ${filename}`);
+    } catch (error) {
+      console.error('🎬 [Modal Manager] Transcript export failed:', error);
+      const status = this.modal.querySelector('.qs-transcript-count');
+      status.textContent = 'Export failed';
+    }
+  }
+
+  // The playing <video> when this modal is for the video on the current watch page
+  getWatchedVideo() {
+    if (location.pathname !== '/watch' || new URLSearchParams(location.search).get('v') !== this.currentVideoId) {
+      return null;
+    }
+    return document.querySelector('#movie_player video, video.html5-main-video');
+  }
+
+  seekTo(seconds) {
+    const video = this.getWatchedVideo();
+    if (!video) return;
+    video.currentTime = seconds;
+    // Rejects when another seek or a pause interrupts it; nothing to do then
+    video.play().catch(() => {});
+    this.highlightSegmentAt(seconds);
+  }
+
+  // Keep the line being spoken highlighted while the Transcript tab is open
+  startPlaybackSync() {
+    this.stopPlaybackSync();
+    const video = this.getWatchedVideo();
+    if (!video || !this.transcript) return;
+
+    this.playbackVideo = video;
+    video.addEventListener('timeupdate', this.onPlaybackTime);
+    this.highlightSegmentAt(video.currentTime);
+  }
+
+  stopPlaybackSync() {
+    if (this.playbackVideo) {
+      this.playbackVideo.removeEventListener('timeupdate', this.onPlaybackTime);
+      this.playbackVideo = null;
+    }
+  }
+
+  // Last segment starting at or before seconds (binary search; segments are in time order)
+  highlightSegmentAt(seconds) {
+    const segments = this.transcript.segments;
+    let low = 0;
+    let high = segments.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (segments[middle].start <= seconds) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    if (found === this.activeSegmentIndex) return;
+
+    const lines = this.modal.querySelectorAll('.qs-transcript-line');
+    lines[this.activeSegmentIndex]?.classList.remove('qs-transcript-active');
+    this.activeSegmentIndex = found;
+    const line = lines[found];
+    if (!line) return;
+    line.classList.add('qs-transcript-active');
+
+    // Follow playback unless the user is searching or selecting text
+    if (!this.modal.querySelector('.qs-transcript-search').value && window.getSelection().isCollapsed) {
+      line.scrollIntoView({ block: 'nearest' });
+    }
+  }
 
-    console.log('🎬 [Modal Manager] Extended summary displayed');
+  formatTime(seconds) {
+    const total = Math.floor(seconds);
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
   }
 
   updateFocusableElements() {
@@ -526,9 +1078,10 @@ class QuickSightModalManager {
       '[tabindex]:not([tabindex="-1"])'
     ];
 
+    // Skip elements in the hidden tab
     this.focusableElements = Array.from(
       this.modal.querySelectorAll(focusableSelectors.join(','))
-    );
+    ).filter(element => element.offsetParent !== null);
   }
 
   handleTabNavigation(e) {
@@ -556,7 +1109,13 @@ class QuickSightModalManager {
     return div.innerHTML;
   }
 
+  // The injector recreates the manager on every in-page navigation, so nothing
+  // may keep the old one alive: document listeners, the stream and playback sync
   destroy() {
+    document.removeEventListener('selectionchange', this.onSelectionChange);
+    document.removeEventListener('keydown', this.onKeyDown);
+    this.cancelStream();
+    this.stopPlaybackSync();
     if (this.overlay && this.overlay.parentNode) {
       this.overlay.parentNode.removeChild(this.overlay);
     }
@@ -156,11 +156,11 @@ class QuickSightTooltip {
   async getSummary(videoId) {
     console.log(`🎯 [Tooltip] Getting summary for video: ${videoId}`);
     
-    // Check preloader cache first for instant response
-    if (window.videoPreloader) {
-      const cachedSummary = await window.videoPreloader.getCachedSummary(videoId);
+    // Check the background cache first for instant response
+    if (window.QuickSightCache) {
+      const cachedSummary = await window.QuickSightCache.getSummary(videoId);
       if (cachedSummary) {
-        console.log(`⚡ [Tooltip] INSTANT response from preloader cache: ${videoId}`);
+        console.log(`⚡ [Tooltip] INSTANT response from cache: ${videoId}`);
         return cachedSummary;
       }
     }
@@ -100,6 +100,7 @@ class QuickSightUIManager {
       status: 'not_ready',
       quickSummary: null,
       extendedSummary: null,
+      error: null, // errorInfo from the background when status is 'error' or 'degraded'
       buttonInjected: false,
       metadata: metadata
     });
@@ -276,6 +277,14 @@ class QuickSightUIManager {
         return;
       }
 
+      const retryBtn = event.target.closest('.qs-retry');
+      if (retryBtn) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.handleRetryClick(retryBtn);
+        return;
+      }
+
       // Close tooltip when clicking outside
       if (this.activeTooltip && !event.target.closest('.qs-tooltip')) {
         this.hideTooltip();
@@ -322,7 +331,8 @@ class QuickSightUIManager {
         this.generateSummaryOnDemand(videoId, button);
         break;
       case 'error':
-        this.showErrorTooltip(button, 'Summary unavailable for this video');
+      case 'degraded':
+        this.showErrorTooltip(button, videoData.error || 'Summary unavailable for this video', videoId);
         break;
     }
   }
@@ -342,7 +352,7 @@ class QuickSightUIManager {
     }, (response) => {
       if (chrome.runtime.lastError) {
         console.error('❌ [UI Manager] Runtime error:', chrome.runtime.lastError);
-        this.updateVideoStatus(videoId, 'error');
+        this.markVideoFailed(videoId, null);
         this.showErrorTooltip(button, 'Failed to generate summary');
         return;
       }
@@ -354,13 +364,19 @@ class QuickSightUIManager {
         this.showTooltip(button, response.data, videoId);
       } else {
         console.error('❌ [UI Manager] Summary generation failed:', response.error);
-        this.updateVideoStatus(videoId, 'error');
-        this.showErrorTooltip(button, response.error || 'Failed to generate summary');
+        this.markVideoFailed(videoId, response.errorInfo);
+        this.showErrorTooltip(button, response.errorInfo || response.error || 'Failed to generate summary', videoId);
       }
     });
   }
 
-  updateVideoStatus(videoId, status, summaryData = null) {
+  // Retryable failures (rate limits, outages) are shown as degraded rather than failed
+  markVideoFailed(videoId, errorInfo) {
+    const status = errorInfo?.retryable ? 'degraded' : 'error';
+    this.updateVideoStatus(videoId, status, null, errorInfo);
+  }
+
+  updateVideoStatus(videoId, status, summaryData = null, errorInfo = null) {
     const videoData = this.videoRegistry.get(videoId);
     
     if (!videoData) {
@@ -375,7 +391,7 @@ class QuickSightUIManager {
         this.injectUIElements(videoElement, videoId);
         this.processedElements.add(videoElement);
         // Retry status update
-        return this.updateVideoStatus(videoId, status, summaryData);
+        return this.updateVideoStatus(videoId, status, summaryData, errorInfo);
       }
       return;
     }
@@ -383,6 +399,7 @@ class QuickSightUIManager {
     console.log(`🔄 [UI Manager] Updating ${videoId} status: ${videoData.status} → ${status}`);
     
     videoData.status = status;
+    videoData.error = errorInfo;
     if (summaryData) {
       videoData.quickSummary = summaryData;
     }
@@ -417,6 +434,11 @@ class QuickSightUIManager {
         statusIcon.innerHTML = '✓';
         statusIcon.setAttribute('aria-label', 'Summary ready');
         break;
+      case 'degraded':
+        statusIcon.classList.add('status-degraded');
+        statusIcon.innerHTML = '↻';
+        statusIcon.setAttribute('aria-label', 'Summary temporarily unavailable');
+        break;
       case 'error':
         statusIcon.classList.add('status-error');
         statusIcon.innerHTML = '⚠';
@@ -473,21 +495,29 @@ class QuickSightUIManager {
     });
   }
 
-  showErrorTooltip(button, message) {
+  // error is a message string or an errorInfo object ({ title, message, hint, retryable })
+  showErrorTooltip(button, error, videoId = null) {
     this.hideTooltip();
 
     const rect = button.getBoundingClientRect();
+    const info = typeof error === 'string' ? { message: error } : error;
     
     const tooltip = document.createElement('div');
     tooltip.className = 'qs-tooltip';
     tooltip.innerHTML = `
       <div class="qs-error">
-        <span class="qs-error-icon">⚠️</span>
+        <span class="qs-error-icon">${info.retryable ? '↻' : '⚠️'}</span>
         <div>
-          <div style="font-weight: 500; margin-bottom: 4px;">Summary Unavailable</div>
-          <div style="font-size: 12px; opacity: 0.8;">${this.escapeHtml(message)}</div>
+          <div style="font-weight: 500; margin-bottom: 4px;">${this.escapeHtml(info.title || 'Summary Unavailable')}</div>
+          <div style="font-size: 12px; opacity: 0.8;">${this.escapeHtml(info.message)}</div>
+          ${info.hint ? `<div class="qs-error-hint">${this.escapeHtml(info.hint)}</div>` : ''}
         </div>
       </div>
+      ${info.retryable && videoId ? `
+        <div class="qs-tooltip-actions">
+          <button class="qs-btn qs-btn-primary qs-retry" data-video-id="${videoId}">Try Again</button>
+        </div>
+      ` : ''}
     `;
 
     document.body.appendChild(tooltip);
@@ -510,11 +540,25 @@ class QuickSightUIManager {
     const confidenceClass = confidence >= 0.8 ? 'high' : confidence >= 0.6 ? 'medium' : 'low';
     const confidencePercent = Math.round(confidence * 100);
 
+    // Extractive summaries are picked from the transcript offline, not written by the AI
+    const extractive = summaryData.extractive;
+    const fromDescription = summaryData.contentSource === 'description';
+
     return `
       <div class="qs-tooltip-header">
         <span class="qs-tooltip-duration">${this.escapeHtml(duration)}</span>
-        <span class="qs-confidence qs-confidence-${confidenceClass}">${confidencePercent}% confidence</span>
+        ${extractive ? `
+          <span class="qs-extractive-badge" title="Sentences picked from the transcript without AI">Extractive</span>
+        ` : `
+          <span class="qs-confidence qs-confidence-${confidenceClass}">${confidencePercent}% confidence</span>
+        `}
       </div>
+      ${extractive ? `
+        <div class="qs-extractive-note">AI summary unavailable, showing key sentences from the ${fromDescription ? 'description' : 'transcript'}. ${this.escapeHtml(extractive.hint || '')}</div>
+      ` : ''}
+      ${fromDescription ? `
+        <div class="qs-source-note">No transcript for this video. Summarized from its description${summaryData.detailedSummary?.keyTopics?.length ? ' and chapters' : ''}.</div>
+      ` : ''}
       
       <div class="qs-summary-bullets">
         ${bullets.map(bullet => `
@@ -580,6 +624,16 @@ class QuickSightUIManager {
     }
   }
 
+  handleRetryClick(button) {
+    const videoId = button.dataset.videoId;
+    const videoData = this.videoRegistry.get(videoId);
+    const summaryButton = videoData?.element.querySelector('.quicksight-btn');
+    if (!summaryButton) return;
+
+    console.log(`🔁 [UI Manager] Retrying summary for video: ${videoId}`);
+    this.generateSummaryOnDemand(videoId, summaryButton);
+  }
+
   handleViewDetailsClick(button) {
     const videoId = button.dataset.videoId;
     console.log(`🎬 [UI Manager] View Details clicked for video: ${videoId}`);
@@ -654,6 +708,10 @@ class QuickSightUIManager {
         color: #00c853;
       }
 
+      .status-degraded {
+        color: #f9ab00;
+      }
+
       .status-error {
         color: #ff0000;
       }
@@ -726,6 +784,27 @@ class QuickSightUIManager {
         color: #ff6b6b;
       }
 
+      .qs-extractive-badge {
+        font-size: 11px;
+        padding: 2px 6px;
+        border-radius: 4px;
+        font-weight: 500;
+        background: rgba(138, 180, 248, 0.2);
+        color: #8ab4f8;
+      }
+
+      .qs-extractive-note {
+        font-size: 11px;
+        color: #cccccc;
+        margin-bottom: 10px;
+      }
+
+      .qs-source-note {
+        font-size: 11px;
+        color: #f9ab00;
+        margin-bottom: 10px;
+      }
+
       .qs-summary-bullets {
         margin-bottom: 12px;
       }
@@ -842,6 +921,12 @@ class QuickSightUIManager {
         flex-shrink: 0;
       }
 
+      .qs-error-hint {
+        font-size: 12px;
+        margin-top: 6px;
+        color: #cccccc;
+      }
+
       /* Dark/Light Mode Support */
       @media (prefers-color-scheme: light) {
         .qs-tooltip {
@@ -857,6 +942,19 @@ class QuickSightUIManager {
         .qs-tooltip-duration {
           color: #6b7280;
         }
+
+        .qs-error-hint,
+        .qs-extractive-note {
+          color: #6b7280;
+        }
+
+        .qs-extractive-badge {
+          color: #1a73e8;
+        }
+
+        .qs-source-note {
+          color: #b06000;
+        }
       }
 
       /* Responsive Design */
@@ -6,9 +6,7 @@ class PerformanceOptimizer {
     this.isProcessing = false;
     this.performanceMetrics = {
       hoverResponseTimes: [],
-      cacheHitRate: 0,
-      totalRequests: 0,
-      cacheHits: 0
+      totalRequests: 0
     };
   }
 
@@ -159,45 +157,22 @@ class PerformanceOptimizer {
     if (!videoId) return;
     
     try {
-      // Check if already cached
-      const cached = await chrome.runtime.sendMessage({
-        action: 'cacheGet',
-        key: `summary_${videoId}`
-      });
-      
-      if (cached.data) {
-        this.recordCacheHit();
-        return cached.data;
-      }
+      // Check if already cached (the background counts the hit or miss)
+      this.performanceMetrics.totalRequests++;
+      const cached = await window.QuickSightCache.getSummary(videoId);
+      if (cached) return cached;
       
-      // Preload in background
+      // Preload in background; the background caches the summary it makes
       const startTime = Date.now();
-      
-      // Get transcript
-      const transcriptResult = await chrome.runtime.sendMessage({
-        action: 'getTranscript',
-        videoId: videoId
+      const summaryResult = await chrome.runtime.sendMessage({
+        action: 'getVideoSummary',
+        videoId: videoId,
+        source: 'preload'
       });
       
-      if (transcriptResult.success && transcriptResult.data) {
-        // Generate summary
-        const summaryResult = await chrome.runtime.sendMessage({
-          action: 'generateSummary',
-          transcript: transcriptResult.data,
-          metadata: this.extractVideoMetadata(element)
-        });
-        
-        if (summaryResult.success) {
-          // Cache the result
-          await chrome.runtime.sendMessage({
-            action: 'cacheSet',
-            key: `summary_${videoId}`,
-            value: summaryResult.data
-          });
-          
-          this.recordPreloadTime(Date.now() - startTime);
-          return summaryResult.data;
-        }
+      if (summaryResult.success) {
+        this.recordPreloadTime(Date.now() - startTime);
+        return summaryResult.data;
       }
     } catch (error) {
       console.warn('Preload failed for video:', videoId, error);
@@ -221,23 +196,6 @@ class PerformanceOptimizer {
     };
   }
 
-  recordCacheHit() {
-    console.log(`📊 [Performance] Recording cache HIT`);
-    this.performanceMetrics.cacheHits++;
-    this.performanceMetrics.totalRequests++;
-    this.performanceMetrics.cacheHitRate = 
-      this.performanceMetrics.cacheHits / this.performanceMetrics.totalRequests;
-    console.log(`📊 [Performance] Cache hit rate: ${(this.performanceMetrics.cacheHitRate * 100).toFixed(1)}%`);
-  }
-
-  recordCacheMiss() {
-    console.log(`📊 [Performance] Recording cache MISS`);
-    this.performanceMetrics.totalRequests++;
-    this.performanceMetrics.cacheHitRate = 
-      this.performanceMetrics.cacheHits / this.performanceMetrics.totalRequests;
-    console.log(`📊 [Performance] Cache hit rate: ${(this.performanceMetrics.cacheHitRate * 100).toFixed(1)}%`);
-  }
-
   recordPreloadTime(time) {
     if (this.performanceMetrics.hoverResponseTimes.length > 100) {
       this.performanceMetrics.hoverResponseTimes.shift();
@@ -251,7 +209,6 @@ class PerformanceOptimizer {
       averageResponseTime: responseTimes.length > 0 
         ? responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length 
         : 0,
-      cacheHitRate: this.performanceMetrics.cacheHitRate,
       totalRequests: this.performanceMetrics.totalRequests
     };
   }
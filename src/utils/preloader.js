@@ -1,14 +1,14 @@
 // Aggressive preloading system for instant hover responses
 class VideoPreloader {
   constructor() {
-    this.cache = new Map();
     this.processingQueue = new Set();
     this.uiManager = null;
     this.intersectionObserver = null;
     this.requestQueue = [];
     this.maxConcurrentRequests = 3;
     this.activeRequests = 0;
-    this.cacheLimit = 100;
+    this.pausedUntil = 0; // Set when the AI budget cap is reached
+    this.detailsRequested = new Set(); // Video IDs already sent for a Data API lookup
     this.init();
   }
 
@@ -17,6 +17,7 @@ class VideoPreloader {
     
     this.setupIntersectionObserver();
     this.setupScrollHandler();
+    this.setupBudgetListener();
     
     console.log('✅ [Preloader] Initialization complete');
   }
@@ -33,6 +34,7 @@ class VideoPreloader {
     // Get all registered videos from UI Manager
     const registeredVideos = window.quickSightUIManager.getRegistryKeys();
     console.log(`📊 [Preloader] Found ${registeredVideos.length} registered videos`);
+    this.prefetchVideoDetails(registeredVideos);
     
     // Filter to videos that need preloading
     const videosToPreload = registeredVideos.filter(videoId => {
@@ -47,6 +49,17 @@ class VideoPreloader {
     }
   }
 
+  // One message for all new cards, so the background can look them up in
+  // videos.list batches instead of one call per summary (no-op without an API key)
+  prefetchVideoDetails(videoIds) {
+    const newIds = videoIds.filter(videoId => !this.detailsRequested.has(videoId));
+    if (newIds.length === 0) return;
+
+    newIds.forEach(videoId => this.detailsRequested.add(videoId));
+    chrome.runtime.sendMessage({ action: 'prefetchVideoDetails', videoIds: newIds })
+      .catch(error => console.warn('⚠️ [Preloader] Video details prefetch failed:', error.message));
+  }
+
   setupIntersectionObserver() {
     this.intersectionObserver = new IntersectionObserver((entries) => {
       const visibleVideos = entries
@@ -67,6 +80,25 @@ class VideoPreloader {
     });
   }
 
+  // Resume right away when the budget settings change instead of waiting out the pause
+  setupBudgetListener() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      const budgetChanged = ['budgetDaily', 'budgetMonthly', 'budgetAction'].some(key => key in changes);
+      if (areaName === 'sync' && budgetChanged && this.pausedUntil) {
+        console.log('▶️ [Preloader] Budget settings changed, resuming preloading');
+        this.pausedUntil = 0;
+        this.scanForNewVideos();
+      }
+    });
+  }
+
+  pauseForBudget() {
+    this.pausedUntil = Date.now() + 5 * 60 * 1000; // Recheck the budget in 5 minutes
+    const skipped = this.requestQueue.splice(0);
+    skipped.forEach(request => this.processingQueue.delete(request.videoId));
+    console.log(`⏸️ [Preloader] AI budget reached, pausing preloading (${skipped.length} queued videos skipped)`);
+  }
+
   startInitialPreload() {
     // Preload videos immediately visible on page load
     setTimeout(() => {
@@ -146,23 +178,35 @@ class VideoPreloader {
     }
   }
 
+  // videos are video IDs or { element, videoId } objects
   async preloadVideos(videos) {
-    const uncachedVideos = videoIds.filter(videoId => 
-      !this.cache.has(videoId) && 
-      !this.processingQueue.has(videoId)
-    );
+    if (Date.now() < this.pausedUntil) {
+      console.log('⏸️ [Preloader] Preloading paused by the AI budget cap');
+      return;
+    }
+    this.pausedUntil = 0;
+
+    const uncachedVideos = videos
+      .map(video => (typeof video === 'string' ? { videoId: video } : video))
+      .filter(video =>
+        window.quickSightUIManager?.getVideoData(video.videoId)?.status !== 'ready' &&
+        !this.processingQueue.has(video.videoId)
+      );
 
     if (uncachedVideos.length === 0) {
-      console.log('💾 [Preloader] All videos already cached or processing');
+      console.log('💾 [Preloader] All videos already loaded or processing');
       return;
     }
 
     console.log(`🎯 [Preloader] Preloading ${uncachedVideos.length} uncached videos`);
 
     // Add to processing queue
-    uncachedVideos.forEach(videoId => {
-      this.processingQueue.add(videoId);
-      this.queueRequest({ videoId, priority: 100 }); // Default priority
+    uncachedVideos.forEach(video => {
+      this.processingQueue.add(video.videoId);
+      this.queueRequest({
+        videoId: video.videoId,
+        element: video.element || window.quickSightUIManager?.getVideoData(video.videoId)?.element
+      });
     });
 
     this.processRequestQueue();
@@ -180,6 +224,7 @@ class VideoPreloader {
   }
 
   calculatePriority(element) {
+    if (!element) return 100; // Default priority
     const rect = element.getBoundingClientRect();
     const viewportCenter = window.innerHeight / 2;
     const elementCenter = rect.top + rect.height / 2;
@@ -221,34 +266,32 @@ class VideoPreloader {
         action: 'getVideoSummary',
         videoId: request.videoId,
         fastMode: false, // Use quality model for better summaries
-        priority: request.priority
+        priority: request.priority,
+        source: 'preload' // Subject to the AI budget cap
       });
 
       if (response.success) {
-        // Cache the result
-        this.cache.set(request.videoId, {
-          summary: response.data,
-          timestamp: Date.now(),
-          ttl: 24 * 60 * 60 * 1000 // 24 hours
-        });
-
-
+        // The background has cached it (unless it is an offline extractive fallback)
         const processingTime = Date.now() - startTime;
-        console.log(`✅ [Preloader] Cached summary for ${request.videoId} in ${processingTime}ms`);
+        console.log(`✅ [Preloader] Loaded summary for ${request.videoId} in ${processingTime}ms`);
 
         // Notify UI that summary is ready
         if (window.quickSightUIManager) {
           window.quickSightUIManager.updateVideoStatus(request.videoId, 'ready', response.data);
         }
+      } else if (response.errorInfo?.kind === 'budget') {
+        this.pauseForBudget();
 
-        // Manage cache size
-        this.manageCacheSize();
+        // Not a failure of this video; a hover can still summarize it on demand
+        if (window.quickSightUIManager) {
+          window.quickSightUIManager.updateVideoStatus(request.videoId, 'not_ready');
+        }
       } else {
         console.warn(`⚠️ [Preloader] Failed to get summary for ${request.videoId}:`, response.error);
         
         // Notify UI of error
         if (window.quickSightUIManager) {
-          window.quickSightUIManager.updateVideoStatus(request.videoId, 'error');
+          window.quickSightUIManager.markVideoFailed(request.videoId, response.errorInfo);
         }
       }
     } catch (error) {
@@ -256,58 +299,20 @@ class VideoPreloader {
       
       // Notify UI of error
       if (window.quickSightUIManager) {
-        window.quickSightUIManager.updateVideoStatus(request.videoId, 'error');
+        window.quickSightUIManager.markVideoFailed(request.videoId, null);
       }
     }
   }
 
-  manageCacheSize() {
-    if (this.cache.size > this.cacheLimit) {
-      // Remove oldest entries (LRU)
-      const entries = Array.from(this.cache.entries());
-      entries.sort((a, b) => a[1].timestamp - b[1].timestamp);
-      
-      const toRemove = entries.slice(0, entries.length - this.cacheLimit);
-      toRemove.forEach(([videoId]) => {
-        this.cache.delete(videoId);
-        chrome.storage.local.remove(`summary_${videoId}`);
-      });
-
-      console.log(`🗑️ [Preloader] Removed ${toRemove.length} old cache entries`);
-    }
-  }
-
-  // Fast cache lookup for instant hover responses
+  // Fast cache lookup for instant hover responses; the background's cache is the only one
   async getCachedSummary(videoId) {
-    // Check memory cache first
-    const memoryCache = this.cache.get(videoId);
-    if (memoryCache && Date.now() - memoryCache.timestamp < memoryCache.ttl) {
-      console.log(`⚡ [Preloader] Memory cache HIT for ${videoId}`);
-      return memoryCache.summary;
-    }
-
-    // Check Chrome storage cache
-    try {
-      const result = await chrome.storage.local.get(`summary_${videoId}`);
-      const storageCache = result[`summary_${videoId}`];
-      
-      if (storageCache && Date.now() - storageCache.timestamp < storageCache.ttl) {
-        console.log(`💾 [Preloader] Storage cache HIT for ${videoId}`);
-        // Update memory cache
-        this.cache.set(videoId, storageCache);
-        return storageCache.summary;
-      }
-    } catch (error) {
-      console.warn('⚠️ [Preloader] Storage cache lookup failed:', error);
-    }
-
-    console.log(`❌ [Preloader] Cache MISS for ${videoId}`);
-    return null;
+    const summary = await window.QuickSightCache.getSummary(videoId);
+    console.log(`${summary ? '⚡' : '❌'} [Preloader] Cache ${summary ? 'HIT' : 'MISS'} for ${videoId}`);
+    return summary;
   }
 
   getStats() {
     return {
-      memoryCacheSize: this.cache.size,
       processingQueueSize: this.processingQueue.size,
       requestQueueSize: this.requestQueue.length,
       activeRequests: this.activeRequests
@@ -318,7 +323,6 @@ class VideoPreloader {
     if (this.intersectionObserver) {
       this.intersectionObserver.disconnect();
     }
-    this.cache.clear();
     this.processingQueue.clear();
     this.requestQueue = [];
   }
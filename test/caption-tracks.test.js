@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorkerScripts, plain, fixture } from './helpers/worker-scripts.js';
+
+const context = loadWorkerScripts('src/background/watch-page.js', 'src/background/caption-tracks.js');
+const selector = new context.CaptionTrackSelector();
+
+const trackList = () => selector.fromRenderer(JSON.parse(fixture('caption-tracks/tracklist.json')));
+const labels = languages => plain(selector.rank(trackList(), languages)).map(candidate => candidate.track.label);
+
+test('fromRenderer: reads names from simpleText or runs and skips tracks without a URL', () => {
+  const { tracks, translationLanguages } = plain(trackList());
+  assert.deepEqual(tracks.map(track => `${track.languageCode}/${track.kind}/${track.name}`), [
+    'de/manual/German',
+    'en/asr/English (auto-generated)',
+    'de/asr/German',
+    'fr/manual/French'
+  ]);
+  assert.deepEqual(translationLanguages, [{ code: 'en', name: 'English' }, { code: 'ja', name: 'Japanese' }]);
+});
+
+test('rank: manual tracks in preferred languages, then ASR, then a translation, then the rest', () => {
+  assert.deepEqual(labels(['en', 'de']), [
+    'German',
+    'English (auto-generated)',
+    'German (auto-generated)',
+    'German → English',
+    'French'
+  ]);
+});
+
+test('rank: the translation URL adds tlang to the source track', () => {
+  const translated = plain(selector.rank(trackList(), ['ja'])).find(candidate => candidate.track.translatedTo);
+  assert.equal(translated.url, 'https://www.youtube.com/api/timedtext?v=abc&lang=de&tlang=ja');
+  assert.equal(translated.track.label, 'German → Japanese');
+});
+
+test('rank: regional codes match their base language', () => {
+  assert.deepEqual(labels(['de-at']).slice(0, 2), ['German', 'German (auto-generated)']);
+});
+
+test('rank: without a usable preference every track is still offered once', () => {
+  assert.deepEqual(labels(['pt']), ['German', 'French', 'English (auto-generated)', 'German (auto-generated)']);
+  assert.deepEqual(labels([]).length, 4);
+});
+
+test('rank: tracks in other languages are capped, preferred ones never are', () => {
+  const tracks = ['fr', 'es', 'it', 'nl', 'pl', 'sv', 'fi', 'en'].map(code => ({
+    baseUrl: `https://www.youtube.com/api/timedtext?v=abc&lang=${code}`,
+    languageCode: code,
+    name: code,
+    kind: 'manual',
+    isTranslatable: false
+  }));
+  const ranked = plain(selector.rank({ tracks, translationLanguages: [] }, ['en']));
+  assert.equal(ranked[0].track.languageCode, 'en');
+  assert.deepEqual(ranked.slice(1).map(candidate => candidate.track.languageCode), ['fr', 'es', 'it', 'nl', 'pl']);
+});
+
+test('rank: no tracks, no candidates', () => {
+  assert.deepEqual(plain(selector.rank({ tracks: [], translationLanguages: [] }, ['en'])), []);
+  assert.deepEqual(plain(selector.fromRenderer(null)), { tracks: [], translationLanguages: [] });
+});
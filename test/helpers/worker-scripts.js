@@ -0,0 +1,18 @@
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+// Background modules are service worker scripts (no exports), so they run in a
+// context standing in for the worker's global scope, in importScripts order
+export function loadWorkerScripts(...paths) {
+  const context = vm.createContext({});
+  context.self = context;
+  for (const path of paths) {
+    vm.runInContext(readFileSync(new URL(`../../${path}`, import.meta.url), 'utf8'), context, { filename: path });
+  }
+  return context;
+}
+
+// Results come from another realm; compare them as plain data
+export const plain = value => JSON.parse(JSON.stringify(value));
+
+export const fixture = path => readFileSync(new URL(`../fixtures/${path}`, import.meta.url), 'utf8');
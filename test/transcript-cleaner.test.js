@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorkerScripts, plain, fixture } from './helpers/worker-scripts.js';
+
+// CHARS_PER_TOKEN comes from the summarizer, loaded before the cleaner in the worker
+const context = loadWorkerScripts('src/ai/summarizer.js', 'src/background/transcript-cleaner.js');
+const cleaner = new context.TranscriptCleaner();
+
+const transcript = segments => ({ source: 'captions', segments, text: segments.map(segment => segment.text).join(' ') });
+const rollingCaptions = () => {
+  const data = JSON.parse(fixture('cleaner/rolling-captions.json'));
+  return { ...data, text: data.segments.map(segment => segment.text).join(' ') };
+};
+// Without options the cleaner uses its defaults (every step on)
+const clean = (input, options) => plain(options ? cleaner.clean(input, options) : cleaner.clean(input));
+
+test('rolling auto-captions: tags, overlaps, repeated phrases and sentence breaks', () => {
+  const { transcript: cleaned, stats } = clean(rollingCaptions());
+  assert.equal(cleaned.text, 'So today we are going to talk about you know caching and how it works. Thank you.');
+  assert.deepEqual(cleaned.segments.map(segment => segment.start), [0, 2.8, 5.5, 9.6]);
+  // The fully repeated "thank you" line extends the one before it
+  assert.equal(cleaned.segments[3].duration, 5.1);
+  assert.equal(cleaned.track.kind, 'asr');
+  assert.deepEqual(
+    { removedTags: stats.removedTags, mergedWords: stats.mergedWords, collapsedWords: stats.collapsedWords },
+    { removedTags: 3, mergedWords: 5, collapsedWords: 2 }
+  );
+  assert.ok(stats.tokensSaved > 0);
+});
+
+test('each step can be turned off', () => {
+  const { transcript: cleaned } = clean(rollingCaptions(), {
+    cleanupNonSpeech: false,
+    cleanupOverlaps: false,
+    cleanupRepeats: false,
+    cleanupSentences: false
+  });
+  assert.equal(cleaned.text, rollingCaptions().text);
+});
+
+test('collapseRepeats: repeated phrases collapse within and across caption lines', () => {
+  const collapse = segments => plain(cleaner.collapseRepeats(segments, { collapsedWords: 0 })).map(segment => segment.text);
+  assert.deepEqual(collapse([{ text: 'I think I think it works' }]), ['I think it works']);
+  assert.deepEqual(collapse([{ text: 'and the cache' }, { text: 'and the cache is warm' }]), ['and the cache', 'is warm']);
+  assert.deepEqual(collapse([{ text: 'we saw it, we saw it again' }]), ['we saw it, again']);
+});
+
+test('collapseRepeats: a repeated word within a line is real speech and survives', () => {
+  const input = transcript([
+    { start: 0, duration: 2, text: 'I had had enough of it' },
+    { start: 2, duration: 2, text: 'no no no that that was very very late' }
+  ]);
+  const { transcript: cleaned, stats } = clean(input);
+  assert.match(cleaned.text, /I had had enough of it/);
+  assert.match(cleaned.text, /no no no that that was very very late/);
+  assert.equal(stats.collapsedWords, 0);
+});
+
+test('collapseRepeats: a word repeated across a line boundary is caption overlap', () => {
+  const collapse = segments => plain(cleaner.collapseRepeats(segments, { collapsedWords: 0 })).map(segment => segment.text);
+  assert.deepEqual(collapse([{ text: 'we looked at the' }, { text: 'the results' }]), ['we looked at the', 'results']);
+  assert.deepEqual(collapse([{ text: 'so' }, { text: 'so' }, { text: 'so it goes' }]), ['so', '', 'it goes']);
+});
+
+test('already punctuated captions keep their sentences', () => {
+  const input = transcript([
+    { start: 0, duration: 2, text: 'This is one sentence.' },
+    { start: 5, duration: 2, text: 'Here is another one!' }
+  ]);
+  assert.equal(clean(input).transcript.text, 'This is one sentence. Here is another one!');
+});
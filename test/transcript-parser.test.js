@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorkerScripts, plain, fixture as readFixture } from './helpers/worker-scripts.js';
+
+const context = loadWorkerScripts('src/background/transcript-parser.js');
+const parser = new context.TranscriptParser();
+
+const fixture = name => readFixture(`captions/${name}`);
+const parse = data => plain(parser.parse(data));
+
+test('json3: joins segs per event and skips events without text', () => {
+  const result = parse(fixture('json3.json'));
+  assert.equal(result.format, 'json3');
+  assert.deepEqual(result.segments, [
+    { start: 0, duration: 2.5, text: 'hello world' },
+    { start: 5, duration: 1.5, text: "it's a test" }
+  ]);
+  assert.equal(result.text, "hello world it's a test");
+});
+
+test('srv1: decodes double-encoded entities and strips encoded font tags', () => {
+  const result = parse(fixture('srv1.xml'));
+  assert.equal(result.format, 'srv1');
+  assert.deepEqual(result.segments, [
+    { start: 0.5, duration: 2.1, text: 'Rock & roll' },
+    { start: 2.6, duration: 1.9, text: "it's loud" }
+  ]);
+});
+
+test('srv3: reads millisecond times and flattens nested <s> tags', () => {
+  const result = parse(fixture('srv3.xml'));
+  assert.equal(result.format, 'srv3');
+  assert.deepEqual(result.segments, [
+    { start: 1.2, duration: 2.4, text: 'so today we' },
+    { start: 3.6, duration: 1.8, text: 'cook pasta' }
+  ]);
+});
+
+test('TTML: clock, tick and offset times, line breaks and speakers', () => {
+  const result = parse(fixture('ttml.xml'));
+  assert.equal(result.format, 'ttml');
+  assert.deepEqual(result.segments, [
+    { start: 1, duration: 2.5, text: 'Welcome back', speaker: 'Alice' },
+    { start: 3.5, duration: 2, text: 'Thanks for having me' },
+    { start: 6.5, duration: 1.5, text: "Let's start" }
+  ]);
+});
+
+test('WebVTT: drops rolled-over lines, inline timestamps and voice tags', () => {
+  const result = parse(fixture('webvtt.vtt'));
+  assert.equal(result.format, 'vtt');
+  assert.deepEqual(result.segments, [
+    { start: 0, duration: 2, text: 'first line' },
+    { start: 2, duration: 2, text: 'second line' },
+    { start: 4, duration: 2.5, text: 'a < b & c', speaker: 'Bob' }
+  ]);
+});
+
+test('SRT: CRLF line endings, comma decimals and multi-line cues', () => {
+  const result = parse(fixture('srt.srt'));
+  assert.equal(result.format, 'srt');
+  assert.deepEqual(result.segments, [
+    { start: 1, duration: 1.5, text: 'Hello there' },
+    { start: 3, duration: 2, text: 'General Kenobi you are bold' }
+  ]);
+});
+
+test('rejects HTML consent pages', () => {
+  assert.equal(parser.parse(fixture('consent.html')), null);
+  assert.equal(parser.parse(`\uFEFF  ${fixture('consent.html')}`), null);
+  assert.equal(parser.parse('<html><body>Sign in</body></html>'), null);
+});
+
+test('rejects error JSON, empty payloads and documents without cues', () => {
+  assert.equal(parser.parse(fixture('error.json')), null);
+  assert.equal(parser.parse(''), null);
+  assert.equal(parser.parse(null), null);
+  assert.equal(parser.parse('WEBVTT\n\nNOTE nothing here'), null);
+  assert.equal(parser.parse('<?xml version="1.0"?><transcript></transcript>'), null);
+});